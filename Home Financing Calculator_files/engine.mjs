@@ -0,0 +1,1866 @@
+// Home financing calculation engine. Pure functions over a plain inputs
+// object, with no DOM access, shared by the browser UI and Node tools.
+//
+// Typical use:
+//     const inputs = buildInputs({ homePrice: 2000000, mortgageRate: 6.5 });
+//     const results = calculateAllScenarios(inputs);
+
+export const scenarios = [
+    { name: 'All Cash', description: 'Purchase home with cash, no financing' },
+    { name: '80% Mortgage', description: '20% down payment, 80% conventional mortgage' },
+    { name: '$750K Mtg + Box Spread', description: 'Mortgage up to deduction limit plus synthetic box spread' },
+    { name: 'Securities Loan', description: 'Pledge securities as collateral with opportunity cost analysis' }
+];
+
+// Financing components available in the custom scenario builder. Floating
+// components price off the SOFR path, so their rate is a spread over SOFR.
+export const customComponentTypes = {
+    cash: { label: 'Cash', floating: false, defaultLtv: 20, defaultRate: 0, defaultTerm: 0 },
+    conventional: { label: 'Conventional Mortgage', floating: false, amortizing: true, defaultLtv: 80, defaultRate: 6.9, defaultTerm: 30 },
+    jumbo: { label: 'Jumbo Mortgage', floating: false, amortizing: true, defaultLtv: 80, defaultRate: 7.1, defaultTerm: 30 },
+    boxSpread: { label: 'Box Spread', floating: true, defaultLtv: 40, defaultRate: 0.5, defaultTerm: 0 },
+    sbloc: { label: 'Securities-Based Line of Credit', floating: true, defaultLtv: 40, defaultRate: 1.0, defaultTerm: 0 },
+    heloc: { label: 'HELOC', floating: true, defaultLtv: 10, defaultRate: 1.5, defaultTerm: 0 }
+};
+
+// Default values
+export const defaultInputs = {
+    homePrice: 1850000,
+    closingCosts: 2.3,
+    propertyTax: 1.26,
+    insurance: 24000,
+    maintenance: 1.5,
+    appreciation: 3.0,
+    holdingPeriod: 10,
+    downPaymentPct: 20,
+    pmiRate: 0.5,
+    mortgageRate: 6.9,
+    discountPoints: 0,
+    pointRateReduction: 0.25,
+    mortgageTerm: 30,
+    mortgageProduct: 'fixed',
+    armInitialRate: 6.25,
+    armMargin: 2.75,
+    armInitialCap: 2,
+    armPeriodicCap: 2,
+    armLifetimeCap: 5,
+    refiYear: 0,
+    refiRateSource: 'fixed',
+    refiRate: 5.5,
+    refiSpread: 2.5,
+    refiTerm: 30,
+    refiClosingCosts: 1.5,
+    refiCashOut: 0,
+    deductionLimit: 750000,
+    sofrRate: 4.33,
+    sofrCurve: 'flat',
+    sofrPathCustom: '',
+    boxSpreadSpread: 0.5,
+    securitiesSpread: 1.0,
+    investReturn: 7.0,
+    taxOrdinary: 37.0,
+    taxCapitalGains: 23.8,
+    capitalGainsOffset: 50000,
+    sellingCost: 7.0,
+    filingStatus: 'joint',
+    basisClosingCosts: 100,
+    homeImprovements: 0,
+    inflationRate: 2.5,
+    discountRate: 7.0,
+    securitiesLtv: 40,
+    maintenanceLtv: 50,
+    marginResponse: 'topup',
+    securitiesBasis: 50,
+    stressDrawdown: 30,
+    stressYear: 2,
+    stressRecoveryYears: 3,
+    altReturnPe: 8.9,
+    altReturnHf: 8.0,
+    altReturnCredit: 10.0,
+    altReturnRe: 9.5,
+    altWeightPe: 30,
+    altWeightHf: 25,
+    altWeightCredit: 25,
+    altWeightRe: 20
+};
+
+// Default Monte Carlo simulation settings
+export const defaultSimulationSettings = {
+    simTrials: 2000,
+    simSeed: 12345,
+    simVolAppreciation: 5.0,
+    simVolReturn: 15.0,
+    simVolAltReturn: 10.0,
+    simVolSofr: 0.75,
+    simCorrAppReturn: 0.3,
+    simCorrAppAlt: 0.3,
+    simCorrReturnAlt: 0.6,
+    simCorrSofrApp: -0.2,
+    simCorrSofrReturn: -0.1,
+    simCorrSofrAlt: 0.0
+};
+
+// PMT function for mortgage calculations
+export function pmt(rate, nper, pv) {
+    if (rate === 0) return -pv / nper;
+    if (nper === 0) return 0;
+    return -pv * (rate * Math.pow(1 + rate, nper)) / (Math.pow(1 + rate, nper) - 1);
+}
+
+// Build a complete inputs object from field values in form units (percentages
+// as entered, dollars, years). Missing or unparseable fields take their
+// defaultInputs value; percentages are converted to decimals and the derived
+// fields are filled in.
+export function buildInputs(values = {}, customScenarios = []) {
+    const number = id => {
+        const value = parseFloat(values[id]);
+        return isNaN(value) ? defaultInputs[id] : value;
+    };
+    const text = id => {
+        const value = values[id] === undefined || values[id] === null ? '' : String(values[id]).trim();
+        return value !== '' ? value : defaultInputs[id];
+    };
+    
+    const inputs = {
+        homePrice: number('homePrice'),
+        closingCosts: number('closingCosts') / 100,
+        propertyTax: number('propertyTax') / 100,
+        insurance: number('insurance'),
+        maintenance: number('maintenance') / 100,
+        appreciation: number('appreciation') / 100,
+        holdingPeriod: number('holdingPeriod'),
+        downPaymentPct: number('downPaymentPct') / 100,
+        pmiRate: number('pmiRate') / 100,
+        mortgageRate: number('mortgageRate') / 100,
+        discountPoints: number('discountPoints'),
+        pointRateReduction: number('pointRateReduction') / 100,
+        mortgageTerm: number('mortgageTerm'),
+        mortgageProduct: text('mortgageProduct'),
+        armInitialRate: number('armInitialRate') / 100,
+        armMargin: number('armMargin') / 100,
+        armInitialCap: number('armInitialCap') / 100,
+        armPeriodicCap: number('armPeriodicCap') / 100,
+        armLifetimeCap: number('armLifetimeCap') / 100,
+        refiYear: number('refiYear'),
+        refiRateSource: text('refiRateSource'),
+        refiRate: number('refiRate') / 100,
+        refiSpread: number('refiSpread') / 100,
+        refiTerm: number('refiTerm'),
+        refiClosingCosts: number('refiClosingCosts') / 100,
+        refiCashOut: number('refiCashOut'),
+        deductionLimit: number('deductionLimit'),
+        sofrRate: number('sofrRate') / 100,
+        sofrCurve: text('sofrCurve'),
+        sofrPathCustom: text('sofrPathCustom'),
+        boxSpreadSpread: number('boxSpreadSpread') / 100,
+        securitiesSpread: number('securitiesSpread') / 100,
+        investReturn: number('investReturn') / 100,
+        taxOrdinary: number('taxOrdinary') / 100,
+        taxCapitalGains: number('taxCapitalGains') / 100,
+        capitalGainsOffset: number('capitalGainsOffset'),
+        sellingCost: number('sellingCost') / 100,
+        filingStatus: text('filingStatus'),
+        basisClosingCosts: number('basisClosingCosts') / 100,
+        homeImprovements: number('homeImprovements'),
+        inflationRate: number('inflationRate') / 100,
+        discountRate: number('discountRate') / 100,
+        securitiesLtv: number('securitiesLtv') / 100,
+        maintenanceLtv: number('maintenanceLtv') / 100,
+        marginResponse: text('marginResponse'),
+        securitiesBasis: number('securitiesBasis') / 100,
+        stressDrawdown: number('stressDrawdown') / 100,
+        stressYear: number('stressYear'),
+        stressRecoveryYears: number('stressRecoveryYears'),
+        altReturnPe: number('altReturnPe') / 100,
+        altReturnHf: number('altReturnHf') / 100,
+        altReturnCredit: number('altReturnCredit') / 100,
+        altReturnRe: number('altReturnRe') / 100,
+        altWeightPe: number('altWeightPe') / 100,
+        altWeightHf: number('altWeightHf') / 100,
+        altWeightCredit: number('altWeightCredit') / 100,
+        altWeightRe: number('altWeightRe') / 100,
+        customScenarios: customScenarios.slice()
+    };
+    
+    return deriveInputs(inputs);
+}
+
+// Fields computed from other inputs rather than entered directly
+export const DERIVED_INPUTS = ['boxSpreadRate', 'securitiesRate', 'sofrPath', 'blendedAltReturn'];
+
+// Fill in the derived fields, so a copy of the inputs with an edited field can
+// be recalculated consistently
+export function deriveInputs(inputs) {
+    // Auto-calculate derived rates: today's floating rates and the SOFR path
+    // they reset from each year
+    inputs.boxSpreadRate = inputs.sofrRate + inputs.boxSpreadSpread;
+    inputs.securitiesRate = inputs.sofrRate + inputs.securitiesSpread;
+    inputs.sofrPath = buildSofrPath(inputs.sofrCurve, inputs.sofrRate, inputs.holdingPeriod, inputs.sofrPathCustom);
+    
+    // Calculate blended alternative return
+    inputs.blendedAltReturn = (inputs.altReturnPe * inputs.altWeightPe) + 
+                             (inputs.altReturnHf * inputs.altWeightHf) + 
+                             (inputs.altReturnCredit * inputs.altWeightCredit) + 
+                             (inputs.altReturnRe * inputs.altWeightRe);
+    
+    return inputs;
+}
+
+// Validation rules for each input, in form units. `min`/`max` are hard
+// limits and `greaterThan` an exclusive lower limit, all reported as errors;
+// `warnMin`/`warnMax` mark the usual range and only raise warnings. `options`
+// lists the accepted values of a choice field.
+export const INPUT_RULES = {
+    homePrice: { greaterThan: 0 },
+    closingCosts: { min: 0, max: 100, warnMax: 10 },
+    propertyTax: { min: 0, max: 100, warnMax: 5 },
+    insurance: { min: 0 },
+    maintenance: { min: 0, max: 100, warnMax: 5 },
+    appreciation: { min: -100, max: 100, warnMin: -5, warnMax: 15 },
+    holdingPeriod: { min: 1, max: 50, integer: true, warnMax: 30 },
+    downPaymentPct: { min: 0, max: 100 },
+    pmiRate: { min: 0, max: 100, warnMax: 3 },
+    mortgageRate: { min: 0, max: 100, warnMax: 15 },
+    discountPoints: { min: 0, max: 100, warnMax: 4 },
+    pointRateReduction: { min: 0, max: 100, warnMax: 1 },
+    mortgageTerm: { min: 1, max: 50, integer: true },
+    mortgageProduct: { options: ['fixed', 'arm5', 'arm7', 'arm10'] },
+    armInitialRate: { min: 0, max: 100, warnMax: 15 },
+    armMargin: { min: 0, max: 100, warnMax: 10 },
+    armInitialCap: { min: 0, max: 100, warnMax: 10 },
+    armPeriodicCap: { min: 0, max: 100, warnMax: 10 },
+    armLifetimeCap: { min: 0, max: 100, warnMax: 15 },
+    refiYear: { min: 0, max: 50, integer: true },
+    refiRateSource: { options: ['fixed', 'path'] },
+    refiRate: { min: 0, max: 100, warnMax: 15 },
+    refiSpread: { min: 0, max: 100, warnMax: 10 },
+    refiTerm: { min: 1, max: 50, integer: true, warnMin: 5, warnMax: 40 },
+    refiClosingCosts: { min: 0, max: 100, warnMax: 10 },
+    refiCashOut: { min: 0 },
+    deductionLimit: { min: 0 },
+    sofrRate: { min: 0, max: 100, warnMax: 10 },
+    sofrCurve: { options: ['flat', 'rising', 'falling', 'inverted', 'custom'] },
+    sofrPathCustom: { rateList: true },
+    boxSpreadSpread: { min: 0, max: 100, warnMax: 5 },
+    securitiesSpread: { min: 0, max: 100, warnMax: 5 },
+    investReturn: { min: -100, max: 100, warnMin: 0, warnMax: 20 },
+    taxOrdinary: { min: 0, max: 100, warnMax: 50 },
+    taxCapitalGains: { min: 0, max: 100, warnMax: 50 },
+    capitalGainsOffset: { min: 0 },
+    sellingCost: { min: 0, max: 100, warnMax: 15 },
+    filingStatus: { options: ['single', 'joint'] },
+    basisClosingCosts: { min: 0, max: 100 },
+    homeImprovements: { min: 0 },
+    inflationRate: { min: -50, max: 100, warnMin: 0, warnMax: 10 },
+    discountRate: { greaterThan: -100, max: 100, warnMin: 0, warnMax: 20 },
+    // Pledged securities are the loan divided by this LTV
+    securitiesLtv: { greaterThan: 0, max: 100, warnMin: 10, warnMax: 80 },
+    maintenanceLtv: { greaterThan: 0, max: 100, warnMin: 10, warnMax: 95 },
+    marginResponse: { options: ['topup', 'liquidate'] },
+    securitiesBasis: { min: 0, max: 100 },
+    stressDrawdown: { min: 0, max: 100, warnMax: 90 },
+    stressYear: { min: 1, max: 50, integer: true },
+    stressRecoveryYears: { min: 0, max: 50, integer: true },
+    altReturnPe: { min: -100, max: 100, warnMin: 0, warnMax: 25 },
+    altReturnHf: { min: -100, max: 100, warnMin: 0, warnMax: 25 },
+    altReturnCredit: { min: -100, max: 100, warnMin: 0, warnMax: 25 },
+    altReturnRe: { min: -100, max: 100, warnMin: 0, warnMax: 25 },
+    altWeightPe: { min: 0, max: 100 },
+    altWeightHf: { min: 0, max: 100 },
+    altWeightCredit: { min: 0, max: 100 },
+    altWeightRe: { min: 0, max: 100 },
+    simTrials: { min: 1, max: 100000, integer: true, warnMin: 100, warnMax: 20000 },
+    simSeed: { min: 0, max: 4294967295, integer: true },
+    simVolAppreciation: { min: 0, warnMax: 30 },
+    simVolReturn: { min: 0, warnMax: 50 },
+    simVolAltReturn: { min: 0, warnMax: 50 },
+    simVolSofr: { min: 0, warnMax: 5 },
+    simCorrAppReturn: { min: -1, max: 1 },
+    simCorrAppAlt: { min: -1, max: 1 },
+    simCorrReturnAlt: { min: -1, max: 1 },
+    simCorrSofrApp: { min: -1, max: 1 },
+    simCorrSofrReturn: { min: -1, max: 1 },
+    simCorrSofrAlt: { min: -1, max: 1 }
+};
+
+// Alternative investment allocation weights, which must total 100%
+export const ALT_WEIGHT_FIELDS = ['altWeightPe', 'altWeightHf', 'altWeightCredit', 'altWeightRe'];
+
+// Rules across several inputs. `check(value)` gets a lookup of numeric or
+// text values and returns a message when the rule is broken.
+export const CROSS_FIELD_RULES = [
+    {
+        fields: ALT_WEIGHT_FIELDS,
+        severity: 'error',
+        check: value => {
+            const total = ALT_WEIGHT_FIELDS.reduce((sum, field) => sum + value(field), 0);
+            return Math.abs(total - 100) > 0.01 ? `Allocations add up to ${Number(total.toFixed(2))}%; they must total 100%.` : null;
+        }
+    },
+    {
+        fields: ['securitiesLtv', 'maintenanceLtv'],
+        severity: 'error',
+        check: value => value('maintenanceLtv') <= value('securitiesLtv') ?
+            'The maintenance LTV must be above the initial LTV, or the loan starts in a margin call.' : null
+    },
+    {
+        fields: ['refiYear', 'holdingPeriod'],
+        severity: 'warning',
+        check: value => value('refiYear') > 0 && value('refiYear') >= value('holdingPeriod') ?
+            'The refinance year is not before the sale, so no refinance is modeled.' : null
+    },
+    {
+        fields: ['stressYear', 'holdingPeriod'],
+        severity: 'warning',
+        check: value => value('stressYear') > value('holdingPeriod') ?
+            'The stress year is after the sale, so the drawdown never happens.' : null
+    },
+    {
+        fields: ['sofrCurve', 'sofrPathCustom'],
+        severity: 'warning',
+        check: value => value('sofrCurve') === 'custom' && String(value('sofrPathCustom')).trim() === '' ?
+            'No custom rates are entered, so today\'s SOFR is used for every year.' : null
+    }
+];
+
+// Check numeric text against one rule, returning {severity, message} or null
+function checkNumber(rule, text) {
+    const value = Number(text);
+    const error = message => ({ severity: 'error', message: message });
+    if (text === '' || !isFinite(value)) return error('Enter a number.');
+    if (rule.greaterThan !== undefined && value <= rule.greaterThan) return error(`Must be greater than ${rule.greaterThan}.`);
+    if (rule.min !== undefined && value < rule.min) return error(`Must be at least ${rule.min}.`);
+    if (rule.max !== undefined && value > rule.max) return error(`Must be at most ${rule.max}.`);
+    if (rule.integer && !Number.isInteger(value)) return error('Must be a whole number.');
+    if ((rule.warnMin !== undefined && value < rule.warnMin) || (rule.warnMax !== undefined && value > rule.warnMax)) {
+        const range = rule.warnMin !== undefined && rule.warnMax !== undefined ? `${rule.warnMin} to ${rule.warnMax}` :
+            rule.warnMin !== undefined ? `at least ${rule.warnMin}` : `up to ${rule.warnMax}`;
+        return { severity: 'warning', message: `Unusual value; the typical range is ${range}.` };
+    }
+    return null;
+}
+
+// Check field values in form units against INPUT_RULES and CROSS_FIELD_RULES.
+// Fields missing from `values` take their defaults and are not checked; a
+// blank or unparseable number is an error. Returns a list of issues, each
+// {fields, severity: 'error' | 'warning', message}.
+export function validateInputs(values = {}) {
+    const defaults = { ...defaultInputs, ...defaultSimulationSettings };
+    const issues = [];
+    const invalid = new Set();
+    
+    Object.keys(INPUT_RULES).forEach(field => {
+        if (values[field] === undefined || values[field] === null) return;
+        const rule = INPUT_RULES[field];
+        const text = String(values[field]).trim();
+        const error = message => {
+            issues.push({ fields: [field], severity: 'error', message: message });
+            invalid.add(field);
+        };
+        
+        if (rule.options) {
+            if (!rule.options.includes(text)) error(`Choose one of ${rule.options.join(', ')}.`);
+            return;
+        }
+        if (rule.rateList) {
+            if (text !== '' && text.split(',').some(rate => rate.trim() === '' || !isFinite(Number(rate)))) {
+                error('Enter rates as comma-separated percentages, such as 4.33, 4.00, 3.75.');
+            }
+            return;
+        }
+        
+        const issue = checkNumber(rule, text);
+        if (issue && issue.severity === 'error') {
+            error(issue.message);
+        } else if (issue) {
+            issues.push({ fields: [field], ...issue });
+        }
+    });
+    
+    // Cross-field rules only run once each of their fields is valid on its own
+    const value = field => {
+        const raw = values[field] === undefined || values[field] === null ? defaults[field] : values[field];
+        return typeof defaults[field] === 'number' ? Number(raw) : raw;
+    };
+    CROSS_FIELD_RULES.forEach(rule => {
+        if (rule.fields.some(field => invalid.has(field))) return;
+        const message = rule.check(value);
+        if (message) issues.push({ fields: rule.fields, severity: rule.severity, message: message });
+    });
+    
+    return issues;
+}
+
+// Validation rules for each field of a custom scenario component, in form
+// units (percent of the home price, percent rate, years), like INPUT_RULES
+export const CUSTOM_COMPONENT_RULES = {
+    ltv: { min: 0, max: 100 },
+    rate: { min: 0, max: 100, warnMax: 20 },
+    term: { min: 0, max: 50, integer: true }
+};
+
+// Check a custom scenario definition {name, components: [{type, ltv, rate,
+// term}]} against CUSTOM_COMPONENT_RULES. Returns issues like
+// validateInputs, each message naming the component it is about.
+export function validateCustomScenario(definition) {
+    const issues = [];
+    const error = (fields, message) => issues.push({ fields: fields, severity: 'error', message: message });
+    if (!definition || typeof definition.name !== 'string' || !Array.isArray(definition.components)) {
+        error(['components'], 'A custom scenario needs a name and a list of components.');
+        return issues;
+    }
+    if (definition.components.length === 0) error(['components'], 'Add at least one component.');
+    
+    definition.components.forEach((component, index) => {
+        const type = component && Object.keys(customComponentTypes).includes(component.type) ? customComponentTypes[component.type] : null;
+        if (!type) {
+            error(['type'], `Component ${index + 1} has an unknown type; use one of ${Object.keys(customComponentTypes).join(', ')}.`);
+            return;
+        }
+        Object.keys(CUSTOM_COMPONENT_RULES).forEach(field => {
+            // Definitions come from JSON, so only real numbers are accepted.
+            // An amortizing mortgage needs at least a year to pay off.
+            const value = component[field];
+            const rule = field === 'term' && type.amortizing ? { ...CUSTOM_COMPONENT_RULES.term, min: 1 } : CUSTOM_COMPONENT_RULES[field];
+            const issue = checkNumber(rule, typeof value === 'number' ? String(value) : '');
+            if (issue) issues.push({ fields: [field], severity: issue.severity, message: `${type.label} ${field}: ${issue.message}` });
+        });
+    });
+    
+    if (!issues.some(issue => issue.severity === 'error')) {
+        // Cash is the down payment, so the shares must cover the whole price
+        const totalLtv = definition.components.reduce((sum, c) => sum + c.ltv, 0);
+        if (Math.abs(totalLtv - 100) > 0.01) {
+            error(['ltv'], `Components add up to ${Number(totalLtv.toFixed(2))}% of the home price; they must total 100%.`);
+        }
+    }
+    
+    return issues;
+}
+
+// Rebalance weights in proportion so they total 100, as whole numbers with
+// the rounding remainder going to the largest fractions. All-zero weights
+// are split evenly.
+export function normalizeWeights(weights) {
+    const fields = Object.keys(weights);
+    const values = fields.map(field => Math.max(0, Number(weights[field]) || 0));
+    const total = values.reduce((sum, v) => sum + v, 0);
+    const exact = values.map(v => total > 0 ? v / total * 100 : 100 / fields.length);
+    const rounded = exact.map(Math.floor);
+    let remainder = 100 - rounded.reduce((sum, v) => sum + v, 0);
+    exact.map((v, i) => ({ i: i, fraction: v - Math.floor(v) }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ i }) => {
+            if (remainder > 0) {
+                rounded[i]++;
+                remainder--;
+            }
+        });
+    
+    const normalized = {};
+    fields.forEach((field, i) => { normalized[field] = rounded[i]; });
+    return normalized;
+}
+
+// Annual change in SOFR for each preset forward curve
+export const SOFR_CURVE_PRESETS = {
+    flat: () => 0,
+    rising: year => Math.min(year * 0.0015, 0.015),
+    falling: year => -Math.min(year * 0.0015, 0.015),
+    // Steep cuts up front that level off, as an inverted yield curve implies
+    inverted: year => -Math.min(year, 3) * 0.005
+};
+
+// Build the year-by-year SOFR path for the holding period. A custom path is a
+// comma-separated list of percentages; its last rate carries forward.
+export function buildSofrPath(curve, sofrRate, holdingPeriod, customPath) {
+    const years = Math.max(0, Math.round(holdingPeriod));
+    
+    if (curve === 'custom') {
+        const customRates = String(customPath || '').split(',')
+            .map(value => parseFloat(value))
+            .filter(value => !isNaN(value))
+            .map(value => value / 100);
+        const rates = customRates.length > 0 ? customRates : [sofrRate];
+        return Array.from({ length: years }, (_, i) => rates[Math.min(i, rates.length - 1)]);
+    }
+    
+    const shift = SOFR_CURVE_PRESETS[curve] || SOFR_CURVE_PRESETS.flat;
+    return Array.from({ length: years }, (_, i) => Math.max(0, sofrRate + shift(i)));
+}
+
+// Calculate ownership costs (taxes, insurance, maintenance)
+export function calculateOwnershipCosts(inputs) {
+    const annualPropertyTax = inputs.homePrice * inputs.propertyTax;
+    const annualMaintenance = inputs.homePrice * inputs.maintenance;
+    const totalAnnualCosts = annualPropertyTax + inputs.insurance + annualMaintenance;
+    return totalAnnualCosts * inputs.holdingPeriod;
+}
+
+// Section 121 exclusion on the gain from selling a primary residence
+export const SECTION_121_EXCLUSION = {
+    single: 250000,
+    joint: 500000
+};
+
+// Calculate capital gains tax on the home sale
+export function calculateHomeSaleTax(inputs) {
+    const futureValue = inputs.homePrice * Math.pow(1 + inputs.appreciation, inputs.holdingPeriod);
+    const sellingCosts = futureValue * inputs.sellingCost;
+    const amountRealized = futureValue - sellingCosts;
+    
+    // Cost basis: purchase price plus capitalizable closing costs plus improvements
+    const capitalizedClosingCosts = inputs.homePrice * inputs.closingCosts * inputs.basisClosingCosts;
+    const costBasis = inputs.homePrice + capitalizedClosingCosts + inputs.homeImprovements;
+    const gain = Math.max(0, amountRealized - costBasis);
+    
+    // The exclusion requires owning and living in the home for 2 of the last 5 years
+    const exclusionLimit = inputs.holdingPeriod >= 2 ? (SECTION_121_EXCLUSION[inputs.filingStatus] || 0) : 0;
+    const exclusion = Math.min(gain, exclusionLimit);
+    const taxableGain = gain - exclusion;
+    const tax = taxableGain * inputs.taxCapitalGains;
+    
+    return {
+        futureValue: futureValue,
+        sellingCosts: sellingCosts,
+        amountRealized: amountRealized,
+        costBasis: costBasis,
+        gain: gain,
+        exclusion: exclusion,
+        taxableGain: taxableGain,
+        tax: tax,
+        afterTaxProceeds: amountRealized - tax
+    };
+}
+
+// Calculate home sale proceeds after selling costs and capital gains tax
+export function calculateHomeSaleProceeds(inputs) {
+    return calculateHomeSaleTax(inputs).afterTaxProceeds;
+}
+
+// Build a month-by-month amortization schedule for a mortgage. The loan
+// amortizes over its own term; whatever is still owed when the holding period
+// ends is paid off from the sale proceeds. `annualRate` is either a fixed rate
+// or a function of the loan year for adjustable-rate loans, in which case the
+// payment is re-amortized over the remaining term whenever the rate resets.
+export function buildAmortizationSchedule(principal, annualRate, termYears, holdingPeriod) {
+    const rateForYear = typeof annualRate === 'function' ? annualRate : () => annualRate;
+    const termMonths = Math.max(0, Math.round(termYears * 12));
+    const holdingYears = Math.max(0, Math.round(holdingPeriod));
+    
+    const months = [];
+    const years = [];
+    let balance = principal > 0 ? principal : 0;
+    let currentRate = rateForYear(1);
+    let monthlyRate = currentRate / 12;
+    let monthlyPayment = balance > 0 && termMonths > 0 ? Math.abs(pmt(monthlyRate, termMonths, balance)) : 0;
+    const initialPayment = monthlyPayment;
+    
+    for (let year = 1; year <= holdingYears; year++) {
+        const startingBalance = balance;
+        let interestPaid = 0;
+        let principalPaid = 0;
+        let balanceMonths = 0;
+        
+        const yearRate = rateForYear(year);
+        const remainingMonths = termMonths - (year - 1) * 12;
+        if (yearRate !== currentRate && balance > 0 && remainingMonths > 0) {
+            currentRate = yearRate;
+            monthlyRate = currentRate / 12;
+            monthlyPayment = Math.abs(pmt(monthlyRate, remainingMonths, balance));
+        }
+        
+        for (let m = 1; m <= 12; m++) {
+            const month = (year - 1) * 12 + m;
+            if (month > termMonths || balance <= 0) break;
+            
+            const interest = balance * monthlyRate;
+            balanceMonths += balance;
+            // The final payment only needs to clear what is left
+            const principalPortion = Math.min(monthlyPayment - interest, balance);
+            balance -= principalPortion;
+            interestPaid += interest;
+            principalPaid += principalPortion;
+            
+            months.push({
+                month: month,
+                payment: interest + principalPortion,
+                interest: interest,
+                principal: principalPortion,
+                balance: balance
+            });
+        }
+        
+        years.push({
+            year: year,
+            rate: currentRate,
+            monthlyPayment: monthlyPayment,
+            startingBalance: startingBalance,
+            interestPaid: interestPaid,
+            principalPaid: principalPaid,
+            endingBalance: balance,
+            // Average of the month-start balances, as used by IRS Pub 936
+            averageBalance: balanceMonths / 12,
+            // Share of the balance that is acquisition debt
+            acquisitionShare: 1
+        });
+    }
+    
+    return {
+        principal: principal,
+        // Initial payment; adjustable-rate payments by year are in `years`
+        monthlyPayment: initialPayment,
+        annualPayment: initialPayment * 12,
+        months: months,
+        years: years,
+        totalInterest: years.reduce((sum, y) => sum + y.interestPaid, 0),
+        totalPrincipal: years.reduce((sum, y) => sum + y.principalPaid, 0),
+        payoffAtSale: balance
+    };
+}
+
+// Build the year-by-year series for a scenario. `yearly(year)` returns that
+// year's interest, tax savings and debt still outstanding at year end, plus
+// optional `portfolioCashFlows` added to the portfolio after purchase; the
+// last entry's net worth matches the scenario's totalNetWorth.
+export function buildTimeline(inputs, investedCash, yearly) {
+    const invested = Math.max(0, investedCash);
+    const annualOwnershipCosts = calculateOwnershipCosts({ ...inputs, holdingPeriod: 1 });
+    const timeline = [];
+    let cumulativeInterest = 0;
+    let cumulativeTaxSavings = 0;
+    
+    for (let year = 1; year <= inputs.holdingPeriod; year++) {
+        const yearData = yearly(year);
+        cumulativeInterest += yearData.interest;
+        cumulativeTaxSavings += yearData.taxSavings;
+        
+        const saleProceeds = calculateHomeSaleProceeds({ ...inputs, holdingPeriod: year });
+        const extra = yearData.portfolioCashFlows || { value: 0, principal: 0 };
+        const portfolioValue = invested * Math.pow(1 + inputs.investReturn, year) + extra.value;
+        const cumulativeOwnershipCosts = annualOwnershipCosts * year;
+        
+        timeline.push({
+            year: year,
+            homeEquity: saleProceeds - yearData.debtBalance,
+            portfolioValue: portfolioValue,
+            cumulativeInterest: cumulativeInterest,
+            cumulativeOwnershipCosts: cumulativeOwnershipCosts,
+            cumulativeTaxSavings: cumulativeTaxSavings,
+            debtBalance: yearData.debtBalance,
+            netWorth: (portfolioValue - invested - extra.principal) + saleProceeds - cumulativeInterest - cumulativeOwnershipCosts + cumulativeTaxSavings
+        });
+    }
+    
+    return timeline;
+}
+
+// Lay out a scenario's dated cash flows from the buyer's side, year 0 being
+// the purchase: the upfront cost, then each year's debt service (interest,
+// financing costs and principal), ownership costs and tax savings, and at the
+// sale the after-tax proceeds less the debt still owed, plus the portfolio
+// growth on cash kept invested. Outflows are negative. `prepaidInterest` is
+// interest that the timeline books in year 1 but was paid upfront, such as
+// discount points. `cashOut` ({year, amount}) is refinance cash-out that
+// raises the loan balance in that year. It goes straight into the portfolio,
+// so it is not a payment to the buyer, and at the sale the portfolio repays
+// that part of the loan.
+//
+// Undiscounted, the flows add up to totalNetWorth less the upfront cost and
+// the amount borrowed, plus any prepaid interest.
+export function buildCashFlows(timeline, { upfrontCost, initialDebt, homeSaleProceeds, portfolioGrowth, prepaidInterest = 0, cashOut = null }) {
+    const flows = [{ year: 0, upfrontCost: -upfrontCost, debtService: 0, ownershipCosts: 0, taxSavings: 0, saleProceeds: 0, loanPayoff: 0, portfolioGrowth: 0 }];
+    let previous = { cumulativeInterest: prepaidInterest, cumulativeOwnershipCosts: 0, cumulativeTaxSavings: 0, debtBalance: initialDebt };
+    
+    timeline.forEach(point => {
+        const interest = point.cumulativeInterest - previous.cumulativeInterest;
+        const borrowed = cashOut && cashOut.year === point.year ? cashOut.amount : 0;
+        const principal = previous.debtBalance + borrowed - point.debtBalance;
+        flows.push({
+            year: point.year,
+            upfrontCost: 0,
+            debtService: -(interest + principal),
+            ownershipCosts: -(point.cumulativeOwnershipCosts - previous.cumulativeOwnershipCosts),
+            taxSavings: point.cumulativeTaxSavings - previous.cumulativeTaxSavings,
+            saleProceeds: 0,
+            loanPayoff: 0,
+            portfolioGrowth: 0
+        });
+        previous = point;
+    });
+    
+    const sale = flows[flows.length - 1];
+    sale.saleProceeds = homeSaleProceeds;
+    sale.loanPayoff = -(previous.debtBalance - (cashOut ? cashOut.amount : 0));
+    sale.portfolioGrowth = portfolioGrowth;
+    
+    return flows.map(flow => ({
+        ...flow,
+        net: flow.upfrontCost + flow.debtService + flow.ownershipCosts + flow.taxSavings + flow.saleProceeds + flow.loanPayoff + flow.portfolioGrowth
+    }));
+}
+
+// Net present value of yearly amounts, the first at year 0. Matches
+// =values[0] + NPV(rate, values[1..]) in Excel.
+export function npv(rate, values) {
+    return values.reduce((sum, value, year) => sum + value / Math.pow(1 + rate, year), 0);
+}
+
+// Inputs used only by the time value measures, which leave totalNetWorth as is
+export const TIME_VALUE_INPUTS = ['inflationRate', 'discountRate'];
+
+// Range searched for an internal rate of return
+export const IRR_MIN = -0.99;
+export const IRR_MAX = 10;
+export const IRR_SAMPLES = 200;
+export const IRR_ITERATIONS = 60;
+
+// Internal rate of return of yearly amounts, the first at year 0: the lowest
+// rate in the search range where the NPV crosses zero, found by sampling and
+// then bisection. Null when the NPV never changes sign.
+export function irr(values) {
+    const npvAt = rate => npv(rate, values);
+    let low = IRR_MIN;
+    let lowValue = npvAt(low);
+    if (lowValue === 0) return low;
+    
+    for (let i = 1; i <= IRR_SAMPLES; i++) {
+        const high = IRR_MIN + (IRR_MAX - IRR_MIN) * i / IRR_SAMPLES;
+        const highValue = npvAt(high);
+        if (highValue === 0) return high;
+        if (Math.sign(lowValue) !== Math.sign(highValue)) {
+            let a = low;
+            let b = high;
+            for (let j = 0; j < IRR_ITERATIONS; j++) {
+                const mid = (a + b) / 2;
+                if (Math.sign(npvAt(mid)) === Math.sign(lowValue)) a = mid;
+                else b = mid;
+            }
+            return (a + b) / 2;
+        }
+        low = high;
+        lowValue = highValue;
+    }
+    return null;
+}
+
+// Time value of a scenario's cash flows: NPV at the discount rate, IRR, and
+// total net worth restated in today's dollars by deflating each year's flows
+// at the inflation rate. Money committed at purchase is already in today's
+// dollars, so with zero inflation realNetWorth equals totalNetWorth.
+export function valueCashFlows(result, inputs) {
+    const values = result.cashFlows.map(flow => flow.net);
+    const nominal = values.reduce((sum, value) => sum + value, 0);
+    return {
+        npv: npv(inputs.discountRate, values),
+        irr: irr(values),
+        realNetWorth: result.totalNetWorth - nominal + npv(inputs.inflationRate, values)
+    };
+}
+
+// Initial fixed-rate period, in years, of each adjustable-rate product
+export const ARM_FIXED_YEARS = {
+    arm5: 5,
+    arm7: 7,
+    arm10: 10
+};
+
+// Rate reduction bought with discount points, each point costing 1% of the loan
+export function calculatePointsRateReduction(inputs) {
+    return inputs.discountPoints * inputs.pointRateReduction;
+}
+
+// Mortgage rate for each loan year. Fixed-rate loans use mortgageRate. ARMs
+// start at armInitialRate, then reset annually to SOFR (from the same path as
+// the floating-rate legs) plus armMargin, limited by the initial, periodic and
+// lifetime caps and never below the margin. Discount points lower the fixed
+// rate or the ARM's initial rate.
+export function buildMortgageRate(inputs) {
+    const pointsReduction = calculatePointsRateReduction(inputs);
+    const fixedYears = ARM_FIXED_YEARS[inputs.mortgageProduct];
+    if (!fixedYears) return Math.max(0, inputs.mortgageRate - pointsReduction);
+    
+    const initialRate = Math.max(0, inputs.armInitialRate - pointsReduction);
+    const ceiling = initialRate + inputs.armLifetimeCap;
+    const rates = [];
+    const years = Math.max(0, Math.round(inputs.holdingPeriod));
+    let rate = initialRate;
+    
+    for (let year = 1; year <= years; year++) {
+        if (year > fixedYears) {
+            const sofr = inputs.sofrPath.length > 0 ? inputs.sofrPath[Math.min(year, inputs.sofrPath.length) - 1] : inputs.sofrRate;
+            const cap = year === fixedYears + 1 ? inputs.armInitialCap : inputs.armPeriodicCap;
+            const indexed = sofr + inputs.armMargin;
+            rate = Math.min(Math.max(indexed, rate - cap, inputs.armMargin), rate + cap, ceiling);
+        }
+        rates.push(rate);
+    }
+    
+    return year => rates.length > 0 ? rates[Math.min(year, rates.length) - 1] : initialRate;
+}
+
+// Whether a refinance is scheduled inside the holding period
+export function hasRefinance(inputs) {
+    return inputs.refiYear >= 1 && inputs.refiYear < Math.round(inputs.holdingPeriod);
+}
+
+// Rate on the refinanced loan: a fixed quote, or SOFR at the refinance year
+// plus a spread so the best refinance year can follow the rate path
+export function getRefinanceRate(inputs) {
+    if (inputs.refiRateSource !== 'path') return inputs.refiRate;
+    const sofr = inputs.sofrPath.length > 0 ? inputs.sofrPath[Math.min(inputs.refiYear + 1, inputs.sofrPath.length) - 1] : inputs.sofrRate;
+    return sofr + inputs.refiSpread;
+}
+
+// Build a mortgage's schedule, refinancing at the end of refiYear when one is
+// scheduled. The new loan pays off the old balance plus any cash-out and
+// amortizes over refiTerm; closing costs are paid in cash. Discount points
+// paid at purchase are recorded as `pointsCost`.
+export function buildMortgageSchedule(principal, inputs) {
+    const rate = buildMortgageRate(inputs);
+    const pointsCost = Math.max(0, principal) * inputs.discountPoints / 100;
+    if (!hasRefinance(inputs) || principal <= 0) {
+        return { ...buildAmortizationSchedule(principal, rate, inputs.mortgageTerm, inputs.holdingPeriod), pointsCost: pointsCost };
+    }
+    
+    const original = buildAmortizationSchedule(principal, rate, inputs.mortgageTerm, inputs.refiYear);
+    const refinancedBalance = original.payoffAtSale;
+    const newPrincipal = refinancedBalance + inputs.refiCashOut;
+    const newRate = getRefinanceRate(inputs);
+    const refinanced = buildAmortizationSchedule(newPrincipal, newRate, inputs.refiTerm, inputs.holdingPeriod - inputs.refiYear);
+    const acquisitionShare = newPrincipal > 0 ? refinancedBalance / newPrincipal : 1;
+    const monthOffset = inputs.refiYear * 12;
+    
+    const years = original.years.concat(refinanced.years.map(y => ({
+        ...y,
+        year: y.year + inputs.refiYear,
+        acquisitionShare: acquisitionShare
+    })));
+    
+    return {
+        ...original,
+        months: original.months.concat(refinanced.months.map(m => ({ ...m, month: m.month + monthOffset }))),
+        years: years,
+        totalInterest: years.reduce((sum, y) => sum + y.interestPaid, 0),
+        totalPrincipal: years.reduce((sum, y) => sum + y.principalPaid, 0),
+        payoffAtSale: refinanced.payoffAtSale,
+        pointsCost: pointsCost,
+        refinance: {
+            year: inputs.refiYear,
+            rate: newRate,
+            refinancedBalance: refinancedBalance,
+            cashOut: inputs.refiCashOut,
+            newPrincipal: newPrincipal,
+            closingCosts: newPrincipal * inputs.refiClosingCosts,
+            oldPayment: original.years[original.years.length - 1].monthlyPayment,
+            newPayment: refinanced.monthlyPayment
+        }
+    };
+}
+
+// Portfolio effect of a refinance by the given year: cash-out proceeds are
+// invested and closing costs come out of the portfolio. `gain` excludes the
+// cash-out principal, which the larger loan balance offsets.
+export function calculateRefinanceCashFlows(schedule, inputs, year) {
+    const refinance = schedule.refinance;
+    if (!refinance || year <= refinance.year) return { value: 0, principal: 0, gain: 0 };
+    
+    const growth = Math.pow(1 + inputs.investReturn, year - refinance.year);
+    const value = (refinance.cashOut - refinance.closingCosts) * growth;
+    return { value: value, principal: refinance.cashOut, gain: value - refinance.cashOut };
+}
+
+// Months after the refinance until cumulative interest savings cover its
+// closing costs, compared with keeping the original loan. Null if it never
+// breaks even over the life of the new loan.
+export function calculateRefinanceBreakEven(principal, inputs) {
+    if (!hasRefinance(inputs) || principal <= 0) return null;
+    
+    const horizon = inputs.refiYear + Math.max(inputs.refiTerm, inputs.mortgageTerm);
+    const longInputs = { ...inputs, holdingPeriod: horizon };
+    const baseline = buildMortgageSchedule(principal, { ...longInputs, refiYear: 0 });
+    const refinanced = buildMortgageSchedule(principal, longInputs);
+    const startMonth = inputs.refiYear * 12;
+    const refinancedMonths = refinanced.months.slice(startMonth);
+    
+    let saved = 0;
+    for (let i = 0; i < refinancedMonths.length; i++) {
+        const baselineInterest = baseline.months[startMonth + i] ? baseline.months[startMonth + i].interest : 0;
+        // Interest on cash-out proceeds is the price of that cash, not a refinance cost
+        const cashOutInterest = refinancedMonths[i].interest * (refinanced.refinance.cashOut / refinanced.refinance.newPrincipal);
+        saved += baselineInterest - (refinancedMonths[i].interest - cashOutInterest);
+        if (saved >= refinanced.refinance.closingCosts) return i + 1;
+    }
+    return null;
+}
+
+// PMI is required above 80% LTV and cancels automatically once the scheduled
+// balance reaches 78% of the original home value
+export const PMI_REQUIRED_LTV = 0.8;
+
+export const PMI_TERMINATION_LTV = 0.78;
+
+// Calculate private mortgage insurance premiums month by month. The annual
+// premium is pmiRate of the original loan amount.
+export function calculatePmi(schedule, homePrice, pmiRate) {
+    const required = homePrice > 0 && schedule.principal / homePrice > PMI_REQUIRED_LTV;
+    const monthlyPremium = required ? schedule.principal * pmiRate / 12 : 0;
+    const terminationBalance = homePrice * PMI_TERMINATION_LTV;
+    let dropOffMonth = null;
+    let balance = schedule.principal;
+    
+    const monthlyPremiums = schedule.months.map(m => {
+        const premium = required && balance > terminationBalance ? monthlyPremium : 0;
+        if (required && premium === 0 && dropOffMonth === null) dropOffMonth = m.month;
+        balance = m.balance;
+        return premium;
+    });
+    
+    const years = schedule.years.map((y, i) => ({
+        year: y.year,
+        premium: monthlyPremiums.slice(i * 12, (i + 1) * 12).reduce((sum, p) => sum + p, 0)
+    }));
+    
+    return {
+        required: required,
+        monthlyPremium: monthlyPremium,
+        years: years,
+        total: years.reduce((sum, y) => sum + y.premium, 0),
+        // null while PMI is still being paid at the end of the hold
+        dropOffMonth: dropOffMonth
+    };
+}
+
+// Calculate the mortgage interest deduction year by year. When the average
+// balance exceeds the deduction limit, only the share of interest on the
+// first deductionLimit dollars is deductible (IRS Pub 936, Table 1). Points
+// on a purchase mortgage are deductible in full in the year paid, subject to
+// the same limit.
+export function calculateMortgageInterestDeduction(schedule, inputs) {
+    const years = schedule.years.map((y, i) => {
+        // Cash-out refinance proceeds are not acquisition debt and earn no deduction
+        const acquisitionBalance = y.averageBalance * (y.acquisitionShare !== undefined ? y.acquisitionShare : 1);
+        const deductibleShare = y.averageBalance > 0 ? Math.min(acquisitionBalance, inputs.deductionLimit) / y.averageBalance : 1;
+        const pointsPaid = i === 0 ? schedule.pointsCost || 0 : 0;
+        const deductibleInterest = (y.interestPaid + pointsPaid) * deductibleShare;
+        
+        return {
+            year: y.year,
+            averageBalance: y.averageBalance,
+            interestPaid: y.interestPaid,
+            pointsPaid: pointsPaid,
+            deductibleShare: deductibleShare,
+            deductibleInterest: deductibleInterest,
+            taxSavings: deductibleInterest * inputs.taxOrdinary
+        };
+    });
+    
+    return {
+        years: years,
+        totalDeductibleInterest: years.reduce((sum, y) => sum + y.deductibleInterest, 0),
+        totalTaxSavings: years.reduce((sum, y) => sum + y.taxSavings, 0)
+    };
+}
+
+// Section 1256 contracts split gains and losses 60% long-term / 40% short-term
+export const SECTION_1256_LONG_TERM_SHARE = 0.6;
+
+// Net capital losses can offset at most this much ordinary income per year
+export const CAPITAL_LOSS_ORDINARY_LIMIT = 3000;
+
+// Calculate the tax benefit of box spread financing costs. The implied
+// interest is realized as Section 1256 capital losses, which only offset
+// capital gains plus $3,000 of ordinary income; the rest carries forward.
+// `annualLosses[i]` is the implied interest for year i + 1.
+export function calculateBoxSpreadTax(annualLosses, inputs) {
+    let shortTermCarryforward = 0;
+    let longTermCarryforward = 0;
+    
+    const years = annualLosses.map((loss, index) => {
+        let longTermLoss = loss * SECTION_1256_LONG_TERM_SHARE + longTermCarryforward;
+        let shortTermLoss = loss * (1 - SECTION_1256_LONG_TERM_SHARE) + shortTermCarryforward;
+        
+        // Losses net against the year's capital gains, long-term first
+        const gains = Math.max(0, inputs.capitalGainsOffset);
+        const longTermAgainstGains = Math.min(longTermLoss, gains);
+        const shortTermAgainstGains = Math.min(shortTermLoss, gains - longTermAgainstGains);
+        longTermLoss -= longTermAgainstGains;
+        shortTermLoss -= shortTermAgainstGains;
+        
+        // Then up to $3,000 of ordinary income, short-term losses first
+        const shortTermAgainstOrdinary = Math.min(shortTermLoss, CAPITAL_LOSS_ORDINARY_LIMIT);
+        const longTermAgainstOrdinary = Math.min(longTermLoss, CAPITAL_LOSS_ORDINARY_LIMIT - shortTermAgainstOrdinary);
+        shortTermLoss -= shortTermAgainstOrdinary;
+        longTermLoss -= longTermAgainstOrdinary;
+        
+        // Whatever is left keeps its character and carries forward
+        shortTermCarryforward = shortTermLoss;
+        longTermCarryforward = longTermLoss;
+        
+        const offsetGains = longTermAgainstGains + shortTermAgainstGains;
+        const offsetOrdinary = shortTermAgainstOrdinary + longTermAgainstOrdinary;
+        
+        return {
+            year: index + 1,
+            loss: loss,
+            offsetGains: offsetGains,
+            offsetOrdinary: offsetOrdinary,
+            carryforward: shortTermCarryforward + longTermCarryforward,
+            taxSavings: offsetGains * inputs.taxCapitalGains + offsetOrdinary * inputs.taxOrdinary
+        };
+    });
+    
+    return {
+        years: years,
+        totalLosses: years.reduce((sum, y) => sum + y.loss, 0),
+        totalTaxSavings: years.reduce((sum, y) => sum + y.taxSavings, 0),
+        // Unused losses at the end of the hold, not valued in net worth
+        unusedCarryforward: shortTermCarryforward + longTermCarryforward
+    };
+}
+
+// Scenario 1: All Cash
+export function calculateAllCash(inputs) {
+    const upfrontCost = inputs.homePrice + (inputs.homePrice * inputs.closingCosts);
+    const ownershipCosts = calculateOwnershipCosts(inputs);
+    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
+    const totalNetWorth = homeSaleProceeds - ownershipCosts;
+    
+    const timeline = buildTimeline(inputs, 0, () => ({ interest: 0, taxSavings: 0, debtBalance: 0 }));
+    
+    return {
+        downPayment: inputs.homePrice,
+        upfrontCost: upfrontCost,
+        annualDebtService: 0,
+        totalInterestCost: 0,
+        portfolioGrowth: 0,
+        homeSaleProceeds: homeSaleProceeds,
+        totalNetWorth: totalNetWorth,
+        netVsAllCash: 0,
+        timeline: timeline,
+        cashFlows: buildCashFlows(timeline, {
+            upfrontCost: upfrontCost,
+            initialDebt: 0,
+            homeSaleProceeds: homeSaleProceeds,
+            portfolioGrowth: 0
+        })
+    };
+}
+
+// Scenario 2: 80% Mortgage
+export function calculateMortgage80(inputs) {
+    const downPayment = inputs.homePrice * inputs.downPaymentPct;
+    const mortgageAmount = inputs.homePrice - downPayment;
+    const closingCosts = inputs.homePrice * inputs.closingCosts;
+    
+    const schedule = buildMortgageSchedule(mortgageAmount, inputs);
+    const upfrontCost = downPayment + closingCosts + schedule.pointsCost;
+    const pmi = calculatePmi(schedule, inputs.homePrice, inputs.pmiRate);
+    const annualDebtService = schedule.annualPayment + pmi.monthlyPremium * 12;
+    // Discount points are prepaid interest
+    const totalInterestCost = schedule.totalInterest + pmi.total + schedule.pointsCost;
+    
+    // Remaining cash for investment, plus any refinance cash-out net of its costs
+    const remainingCash = inputs.homePrice - downPayment - closingCosts - schedule.pointsCost;
+    const refinanceCashFlows = calculateRefinanceCashFlows(schedule, inputs, inputs.holdingPeriod);
+    const portfolioGrowth = (remainingCash > 0 ? remainingCash * Math.pow(1 + inputs.investReturn, inputs.holdingPeriod) - remainingCash : 0) +
+        refinanceCashFlows.gain;
+    
+    // Tax savings from mortgage interest deduction
+    const deduction = calculateMortgageInterestDeduction(schedule, inputs);
+    const taxSavings = deduction.totalTaxSavings;
+    
+    // Principal repaid during the hold plus the payoff at sale always adds up
+    // to the original loan, so only the interest reduces net worth
+    const ownershipCosts = calculateOwnershipCosts(inputs);
+    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
+    const totalNetWorth = portfolioGrowth + homeSaleProceeds - totalInterestCost - ownershipCosts + taxSavings;
+    
+    const timeline = buildTimeline(inputs, remainingCash, year => ({
+        interest: schedule.years[year - 1].interestPaid + pmi.years[year - 1].premium + (year === 1 ? schedule.pointsCost : 0),
+        taxSavings: deduction.years[year - 1].taxSavings,
+        debtBalance: schedule.years[year - 1].endingBalance,
+        portfolioCashFlows: calculateRefinanceCashFlows(schedule, inputs, year)
+    }));
+    
+    return {
+        downPayment: downPayment,
+        upfrontCost: upfrontCost,
+        annualDebtService: annualDebtService,
+        totalInterestCost: totalInterestCost,
+        portfolioGrowth: portfolioGrowth,
+        homeSaleProceeds: homeSaleProceeds,
+        totalNetWorth: totalNetWorth,
+        netVsAllCash: 0,
+        // Amortization detail
+        mortgageAmount: mortgageAmount,
+        principalPaid: schedule.totalPrincipal,
+        loanPayoff: schedule.payoffAtSale,
+        amortization: schedule,
+        pmi: pmi,
+        deduction: deduction,
+        timeline: timeline,
+        cashFlows: buildCashFlows(timeline, {
+            upfrontCost: upfrontCost,
+            initialDebt: mortgageAmount,
+            homeSaleProceeds: homeSaleProceeds,
+            portfolioGrowth: portfolioGrowth,
+            prepaidInterest: schedule.pointsCost,
+            cashOut: schedule.refinance ? { year: schedule.refinance.year + 1, amount: refinanceCashFlows.principal } : null
+        })
+    };
+}
+
+// Scenario 3: $750K Mortgage + Box Spread
+export function calculateMortgageBoxSpread(inputs) {
+    const downPayment = inputs.homePrice * inputs.downPaymentPct;
+    const totalFinancing = inputs.homePrice - downPayment;
+    const mortgageAmount = Math.min(inputs.deductionLimit, totalFinancing);
+    const boxSpreadAmount = Math.max(0, totalFinancing - mortgageAmount);
+    const closingCosts = inputs.homePrice * inputs.closingCosts;
+    
+    // Mortgage portion
+    const schedule = buildMortgageSchedule(mortgageAmount, inputs);
+    const upfrontCost = downPayment + closingCosts + schedule.pointsCost;
+    const pmi = calculatePmi(schedule, inputs.homePrice, inputs.pmiRate);
+    const annualMortgageService = schedule.annualPayment + pmi.monthlyPremium * 12;
+    
+    // Box spread portion, repriced each year off the SOFR path
+    const boxSpreadCosts = inputs.sofrPath.map(sofr => boxSpreadAmount * (sofr + inputs.boxSpreadSpread));
+    const boxSpreadInterest = boxSpreadCosts.reduce((sum, cost) => sum + cost, 0);
+    const annualBoxSpreadCost = inputs.holdingPeriod > 0 ? boxSpreadInterest / inputs.holdingPeriod : 0; // Average over the hold
+    const totalAnnualDebtService = annualMortgageService + annualBoxSpreadCost;
+    
+    const mortgageInterest = schedule.totalInterest;
+    const totalInterestCost = mortgageInterest + pmi.total + boxSpreadInterest + schedule.pointsCost;
+    
+    // Tax savings: mortgage interest deduction plus Section 1256 losses
+    const deduction = calculateMortgageInterestDeduction(schedule, inputs);
+    const boxSpreadTax = calculateBoxSpreadTax(boxSpreadCosts, inputs);
+    const taxSavings = deduction.totalTaxSavings + boxSpreadTax.totalTaxSavings;
+    
+    // Portfolio growth, plus any refinance cash-out net of its costs
+    const remainingCash = inputs.homePrice - downPayment - closingCosts - schedule.pointsCost;
+    const refinanceCashFlows = calculateRefinanceCashFlows(schedule, inputs, inputs.holdingPeriod);
+    const portfolioGrowth = (remainingCash > 0 ? remainingCash * Math.pow(1 + inputs.investReturn, inputs.holdingPeriod) - remainingCash : 0) +
+        refinanceCashFlows.gain;
+    
+    const ownershipCosts = calculateOwnershipCosts(inputs);
+    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
+    const totalNetWorth = portfolioGrowth + homeSaleProceeds - totalInterestCost - ownershipCosts + taxSavings;
+    
+    const timeline = buildTimeline(inputs, remainingCash, year => ({
+        interest: schedule.years[year - 1].interestPaid + pmi.years[year - 1].premium + boxSpreadCosts[year - 1] + (year === 1 ? schedule.pointsCost : 0),
+        taxSavings: deduction.years[year - 1].taxSavings + boxSpreadTax.years[year - 1].taxSavings,
+        debtBalance: schedule.years[year - 1].endingBalance + boxSpreadAmount,
+        portfolioCashFlows: calculateRefinanceCashFlows(schedule, inputs, year)
+    }));
+    
+    return {
+        downPayment: downPayment,
+        upfrontCost: upfrontCost,
+        annualDebtService: totalAnnualDebtService,
+        totalInterestCost: totalInterestCost,
+        portfolioGrowth: portfolioGrowth,
+        homeSaleProceeds: homeSaleProceeds,
+        totalNetWorth: totalNetWorth,
+        netVsAllCash: 0,
+        // Amortization detail
+        mortgageAmount: mortgageAmount,
+        principalPaid: schedule.totalPrincipal,
+        loanPayoff: schedule.payoffAtSale,
+        boxSpreadAmount: boxSpreadAmount,
+        amortization: schedule,
+        pmi: pmi,
+        deduction: deduction,
+        boxSpreadTax: boxSpreadTax,
+        timeline: timeline,
+        cashFlows: buildCashFlows(timeline, {
+            upfrontCost: upfrontCost,
+            initialDebt: mortgageAmount + boxSpreadAmount,
+            homeSaleProceeds: homeSaleProceeds,
+            portfolioGrowth: portfolioGrowth,
+            prepaidInterest: schedule.pointsCost,
+            cashOut: schedule.refinance ? { year: schedule.refinance.year + 1, amount: refinanceCashFlows.principal } : null
+        })
+    };
+}
+
+// Scenario 4: Securities Loan with Enhanced Opportunity Cost
+export function calculateSecuritiesLoan(inputs) {
+    // Same down payment and LTV as the mortgage scenarios
+    const downPayment = inputs.homePrice * inputs.downPaymentPct;
+    const loanAmount = inputs.homePrice - downPayment;
+    const closingCosts = inputs.homePrice * inputs.closingCosts;
+    const upfrontCost = downPayment + closingCosts;
+    
+    // Securities required to be pledged
+    const pledgedSecurities = loanAmount / inputs.securitiesLtv;
+    
+    // Interest cost, repriced each year off the SOFR path
+    const interestByYear = inputs.sofrPath.map(sofr => loanAmount * (sofr + inputs.securitiesSpread));
+    const totalLoanInterest = interestByYear.reduce((sum, interest) => sum + interest, 0);
+    const annualInterest = inputs.holdingPeriod > 0 ? totalLoanInterest / inputs.holdingPeriod : 0; // Average over the hold
+    
+    // Annual opportunity cost from missing alternative investments
+    const annualOpportunityCost = pledgedSecurities * (inputs.blendedAltReturn - inputs.investReturn);
+    
+    // Total annual cost
+    const totalAnnualCost = annualInterest + annualOpportunityCost;
+    const totalInterestCost = totalLoanInterest + annualOpportunityCost * inputs.holdingPeriod;
+    
+    // Tax savings from securities loan interest (only on interest, not opportunity cost)
+    const taxSavings = totalLoanInterest * inputs.taxOrdinary;
+    
+    // The cash left after the down payment and closing costs is invested as
+    // in the mortgage scenarios. Pledged securities stay invested; their cost
+    // is the opportunity cost above.
+    const availableForInvestment = inputs.homePrice - downPayment - closingCosts;
+    const portfolioGrowth = availableForInvestment > 0 ? 
+        availableForInvestment * Math.pow(1 + inputs.investReturn, inputs.holdingPeriod) - availableForInvestment : 0;
+    
+    const ownershipCosts = calculateOwnershipCosts(inputs);
+    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
+    const totalNetWorth = portfolioGrowth + homeSaleProceeds - totalInterestCost - ownershipCosts + taxSavings;
+    
+    // Margin call exposure under the stress drawdown path (reported only, not
+    // included in net worth)
+    const marginStress = simulateMarginPath(buildStressReturns(inputs), loanAmount, pledgedSecurities, inputs);
+    
+    const timeline = buildTimeline(inputs, availableForInvestment, year => ({
+        interest: interestByYear[year - 1] + annualOpportunityCost,
+        taxSavings: interestByYear[year - 1] * inputs.taxOrdinary,
+        debtBalance: loanAmount
+    }));
+    
+    return {
+        downPayment: downPayment,
+        upfrontCost: upfrontCost,
+        annualDebtService: totalAnnualCost,
+        totalInterestCost: totalInterestCost,
+        portfolioGrowth: portfolioGrowth,
+        homeSaleProceeds: homeSaleProceeds,
+        totalNetWorth: totalNetWorth,
+        netVsAllCash: 0,
+        // Additional securities loan specific data
+        loanAmount: loanAmount,
+        pledgedSecurities: pledgedSecurities,
+        annualInterest: annualInterest,
+        interestByYear: interestByYear,
+        annualOpportunityCost: annualOpportunityCost,
+        totalAnnualCost: totalAnnualCost,
+        blendedAltReturn: inputs.blendedAltReturn,
+        survivableDrawdown: calculateSurvivableDrawdown(inputs),
+        marginStress: marginStress,
+        timeline: timeline,
+        cashFlows: buildCashFlows(timeline, {
+            upfrontCost: upfrontCost,
+            initialDebt: loanAmount,
+            homeSaleProceeds: homeSaleProceeds,
+            portfolioGrowth: portfolioGrowth
+        })
+    };
+}
+
+// Largest immediate drop in the pledged portfolio before the loan breaches
+// the maintenance LTV
+export function calculateSurvivableDrawdown(inputs) {
+    if (inputs.maintenanceLtv <= 0) return 0;
+    return Math.max(0, 1 - inputs.securitiesLtv / inputs.maintenanceLtv);
+}
+
+// Annual returns for the pledged portfolio under the stress scenario: normal
+// growth, a drawdown in stressYear, then a recovery back to the pre-drawdown
+// trend over stressRecoveryYears
+export function buildStressReturns(inputs) {
+    const years = Math.max(0, Math.round(inputs.holdingPeriod));
+    const recoveryYears = Math.max(0, Math.round(inputs.stressRecoveryYears));
+    const recoveryReturn = recoveryYears > 0 && inputs.stressDrawdown < 1 ?
+        (1 + inputs.investReturn) / Math.pow(1 - inputs.stressDrawdown, 1 / recoveryYears) - 1 : inputs.investReturn;
+    
+    return Array.from({ length: years }, (_, i) => {
+        const year = i + 1;
+        if (inputs.stressDrawdown <= 0) return inputs.investReturn;
+        if (year === inputs.stressYear) return -inputs.stressDrawdown;
+        if (year > inputs.stressYear && year <= inputs.stressYear + recoveryYears) return recoveryReturn;
+        return inputs.investReturn;
+    });
+}
+
+// Walk the pledged portfolio through a path of annual returns and cure every
+// margin call back to the initial LTV, either with a cash top-up or with
+// forced sales at that year's depressed price. The cost of a top-up is the
+// opportunity cost on the added collateral; the cost of a forced sale is the
+// capital gains tax it triggers plus the recovery the sold shares miss, net
+// of the interest saved on the loan it pays down.
+export function simulateMarginPath(returns, loanAmount, pledgedSecurities, inputs) {
+    let value = pledgedSecurities;
+    let loan = loanAmount;
+    let basis = pledgedSecurities * inputs.securitiesBasis;
+    let topUpCash = 0;
+    let forcedSales = 0;
+    let taxOnSales = 0;
+    let cost = 0;
+    let maxLtv = pledgedSecurities > 0 ? loan / value : 0;
+    const events = [];
+    
+    returns.forEach((annualReturn, index) => {
+        value *= 1 + annualReturn;
+        const ltv = value > 0 ? loan / value : Infinity;
+        maxLtv = Math.max(maxLtv, ltv);
+        
+        if (loan <= 0 || ltv <= inputs.maintenanceLtv) return;
+        
+        const remainingReturns = returns.slice(index + 1);
+        const remainingYears = remainingReturns.length;
+        const target = inputs.securitiesLtv;
+        
+        if (inputs.marginResponse === 'liquidate') {
+            // Sell just enough that the smaller loan is back at the target LTV
+            const sale = Math.min(value, target < 1 ? (loan - target * value) / (1 - target) : loan);
+            const basisSold = value > 0 ? basis * sale / value : 0;
+            const tax = (sale - basisSold) * inputs.taxCapitalGains;
+            const missedGrowth = sale * remainingReturns.reduce((growth, r) => growth * (1 + r), 1) - sale;
+            const interestSaved = inputs.sofrPath.slice(index + 1)
+                .reduce((sum, sofr) => sum + sale * (sofr + inputs.securitiesSpread), 0);
+            
+            value -= sale;
+            basis -= basisSold;
+            loan -= sale;
+            forcedSales += sale;
+            taxOnSales += tax;
+            cost += tax + missedGrowth - interestSaved;
+            events.push({ year: index + 1, ltv: ltv, amount: sale, tax: tax });
+        } else {
+            const topUp = loan / target - value;
+            value += topUp;
+            basis += topUp;
+            topUpCash += topUp;
+            cost += topUp * (inputs.blendedAltReturn - inputs.investReturn) * remainingYears;
+            events.push({ year: index + 1, ltv: ltv, amount: topUp, tax: 0 });
+        }
+    });
+    
+    return {
+        marginCalls: events.length,
+        events: events,
+        maxLtv: maxLtv,
+        topUpCash: topUpCash,
+        forcedSales: forcedSales,
+        taxOnSales: taxOnSales,
+        cost: cost
+    };
+}
+
+// Expected margin call cost across random pledged-portfolio return paths,
+// drawn with the simulation settings' portfolio volatility
+export function estimateMarginRisk(inputs, loanAmount, pledgedSecurities, settings) {
+    const random = createRandom(settings.seed);
+    const years = Math.max(0, Math.round(inputs.holdingPeriod));
+    let trialsWithCall = 0;
+    let totalCost = 0;
+    
+    for (let trial = 0; trial < settings.trials; trial++) {
+        const returns = Array.from({ length: years }, () => inputs.investReturn + settings.volReturn * randomNormal(random));
+        const path = simulateMarginPath(returns, loanAmount, pledgedSecurities, inputs);
+        if (path.marginCalls > 0) trialsWithCall++;
+        totalCost += path.cost;
+    }
+    
+    return {
+        probabilityOfMarginCall: trialsWithCall / settings.trials,
+        expectedCost: totalCost / settings.trials
+    };
+}
+
+// Custom scenario built from financing components. Each component is sized
+// as a share of the home price; whatever the loans don't cover is paid in cash.
+// Mortgages amortize over their own term and share the deduction limit with
+// the HELOC as acquisition debt; floating components are interest-only and
+// roll over for the whole hold.
+export function calculateCustomScenario(inputs, definition) {
+    const errors = validateCustomScenario(definition).filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`Invalid custom scenario "${definition && definition.name}": ${errors.map(issue => issue.message).join(' ')}`);
+    }
+    
+    const components = definition.components.map(c => ({
+        type: c.type,
+        amount: inputs.homePrice * c.ltv / 100,
+        rate: c.rate / 100,
+        term: c.term
+    }));
+    const byType = type => components.filter(c => c.type === type);
+    const sumAmounts = list => list.reduce((sum, c) => sum + c.amount, 0);
+    
+    const financed = sumAmounts(components.filter(c => c.type !== 'cash'));
+    const downPayment = Math.max(0, inputs.homePrice - financed);
+    const closingCosts = inputs.homePrice * inputs.closingCosts;
+    const upfrontCost = downPayment + closingCosts;
+    const years = inputs.sofrPath.length;
+    
+    // Amortizing mortgages, with PMI on any above 80% LTV
+    const schedules = byType('conventional').concat(byType('jumbo'))
+        .filter(c => c.amount > 0)
+        .map(c => buildAmortizationSchedule(c.amount, c.rate, c.term, inputs.holdingPeriod));
+    const pmiPremiums = schedules.map(sch => calculatePmi(sch, inputs.homePrice, inputs.pmiRate));
+    
+    // Interest-only floating components, repriced each year off the SOFR path
+    const floatingInterest = list => inputs.sofrPath.map(sofr => list.reduce((sum, c) => sum + c.amount * (sofr + c.rate), 0));
+    const helocInterest = floatingInterest(byType('heloc'));
+    const boxSpreadCosts = floatingInterest(byType('boxSpread'));
+    const sblocInterest = floatingInterest(byType('sbloc'));
+    const helocAmount = sumAmounts(byType('heloc'));
+    const boxSpreadAmount = sumAmounts(byType('boxSpread'));
+    const sblocAmount = sumAmounts(byType('sbloc'));
+    
+    // Combined acquisition debt for the mortgage interest deduction
+    const acquisitionDebt = {
+        years: Array.from({ length: years }, (_, i) => ({
+            year: i + 1,
+            interestPaid: schedules.reduce((sum, sch) => sum + sch.years[i].interestPaid, 0) + helocInterest[i],
+            averageBalance: schedules.reduce((sum, sch) => sum + sch.years[i].averageBalance, 0) + helocAmount
+        }))
+    };
+    const deduction = calculateMortgageInterestDeduction(acquisitionDebt, inputs);
+    const boxSpreadTax = calculateBoxSpreadTax(boxSpreadCosts, inputs);
+    
+    // A securities-based line of credit ties up pledged securities, which stay
+    // invested but miss the alternative return, as in the Securities Loan scenario
+    const pledgedSecurities = inputs.securitiesLtv > 0 ? sblocAmount / inputs.securitiesLtv : 0;
+    const annualOpportunityCost = pledgedSecurities * (inputs.blendedAltReturn - inputs.investReturn);
+    
+    const yearlyPmi = acquisitionDebt.years.map((y, i) => pmiPremiums.reduce((sum, pmi) => sum + pmi.years[i].premium, 0));
+    const yearlyInterest = acquisitionDebt.years.map((y, i) => y.interestPaid + yearlyPmi[i] + boxSpreadCosts[i] + sblocInterest[i] + annualOpportunityCost);
+    const yearlyTaxSavings = deduction.years.map((y, i) => y.taxSavings + boxSpreadTax.years[i].taxSavings + sblocInterest[i] * inputs.taxOrdinary);
+    const totalInterestCost = yearlyInterest.reduce((sum, v) => sum + v, 0);
+    const taxSavings = yearlyTaxSavings.reduce((sum, v) => sum + v, 0);
+    const annualDebtService = schedules.reduce((sum, sch) => sum + sch.annualPayment, 0) +
+        pmiPremiums.reduce((sum, pmi) => sum + pmi.monthlyPremium * 12, 0) +
+        (years > 0 ? (helocInterest.concat(boxSpreadCosts, sblocInterest).reduce((sum, v) => sum + v, 0) / years) : 0);
+    
+    const remainingCash = inputs.homePrice - downPayment - closingCosts;
+    const portfolioGrowth = remainingCash > 0 ? remainingCash * Math.pow(1 + inputs.investReturn, inputs.holdingPeriod) - remainingCash : 0;
+    
+    const ownershipCosts = calculateOwnershipCosts(inputs);
+    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
+    const totalNetWorth = portfolioGrowth + homeSaleProceeds - totalInterestCost - ownershipCosts + taxSavings;
+    
+    const timeline = buildTimeline(inputs, remainingCash, year => ({
+        interest: yearlyInterest[year - 1],
+        taxSavings: yearlyTaxSavings[year - 1],
+        debtBalance: schedules.reduce((sum, sch) => sum + sch.years[year - 1].endingBalance, 0) + helocAmount + boxSpreadAmount + sblocAmount
+    }));
+    
+    return {
+        downPayment: downPayment,
+        upfrontCost: upfrontCost,
+        annualDebtService: annualDebtService,
+        totalInterestCost: totalInterestCost,
+        portfolioGrowth: portfolioGrowth,
+        homeSaleProceeds: homeSaleProceeds,
+        totalNetWorth: totalNetWorth,
+        netVsAllCash: 0,
+        custom: true,
+        timeline: timeline,
+        cashFlows: buildCashFlows(timeline, {
+            upfrontCost: upfrontCost,
+            initialDebt: financed,
+            homeSaleProceeds: homeSaleProceeds,
+            portfolioGrowth: portfolioGrowth
+        })
+    };
+}
+
+// Built-in scenarios followed by the user's custom scenarios. The mortgage
+// scenario is named after the financed share of the price.
+// Custom scenarios that pass validateCustomScenario. An invalid definition
+// is left out of the comparison instead of failing every scenario; callers
+// that take definitions from users report them before this point.
+function getValidCustomScenarios(inputs) {
+    return (inputs.customScenarios || []).filter(definition =>
+        !validateCustomScenario(definition).some(issue => issue.severity === 'error'));
+}
+
+export function getScenarioList(inputs) {
+    const downPct = Math.round(inputs.downPaymentPct * 1000) / 10;
+    const builtIn = scenarios.map((scenario, index) => index !== 1 ? scenario : {
+        name: `${Math.round((100 - downPct) * 10) / 10}% Mortgage`,
+        description: `${downPct}% down payment, ${Math.round((100 - downPct) * 10) / 10}% conventional mortgage`
+    });
+    return builtIn.concat(getValidCustomScenarios(inputs).map(definition => ({
+        name: definition.name,
+        description: describeCustomScenario(definition)
+    })));
+}
+
+// One-line description of a custom scenario's components
+export function describeCustomScenario(definition) {
+    return definition.components.map(c => {
+        const type = customComponentTypes[c.type];
+        if (c.type === 'cash') return `${c.ltv}% cash`;
+        const rate = type.floating ? `SOFR + ${c.rate}%` : `${c.rate}%`;
+        const term = c.term > 0 && !type.floating ? `, ${c.term}-year` : '';
+        return `${c.ltv}% ${type.label} at ${rate}${term}`;
+    }).join(' + ');
+}
+
+// Calculate every scenario, built-in and custom, for an inputs object
+export function calculateAllScenarios(inputs) {
+    try {
+        const results = [
+            calculateAllCash(inputs),
+            calculateMortgage80(inputs),
+            calculateMortgageBoxSpread(inputs),
+            calculateSecuritiesLoan(inputs)
+        ].concat(getValidCustomScenarios(inputs).map(definition => calculateCustomScenario(inputs, definition)));
+        
+        // Time value of each scenario's cash flows
+        results.forEach(result => Object.assign(result, valueCashFlows(result, inputs)));
+        
+        // Calculate net vs all-cash for each scenario, nominal and in today's dollars
+        const allCashNetWorth = results[0].totalNetWorth;
+        const allCashRealNetWorth = results[0].realNetWorth;
+        results.forEach(result => {
+            result.netVsAllCash = result.totalNetWorth - allCashNetWorth;
+            result.realNetVsAllCash = result.realNetWorth - allCashRealNetWorth;
+        });
+        
+        return results;
+    } catch (error) {
+        console.error('Error in calculateAllScenarios:', error);
+        return [];
+    }
+}
+
+// Compare the mortgage scenarios with and without the configured refinance,
+// and search every refinance year in the holding period for the best one
+export function analyzeRefinance(inputs) {
+    const mortgageIndexes = [1, 2];
+    const scenarioInputs = { ...inputs, customScenarios: [] };
+    const baseline = calculateAllScenarios({ ...scenarioInputs, refiYear: 0 });
+    const configured = hasRefinance(inputs) ? calculateAllScenarios(scenarioInputs) : null;
+    
+    const candidates = [];
+    for (let year = 1; year < Math.round(inputs.holdingPeriod); year++) {
+        candidates.push({ year: year, results: calculateAllScenarios({ ...scenarioInputs, refiYear: year }) });
+    }
+    
+    return mortgageIndexes.map(index => {
+        const mortgageAmount = baseline[index].mortgageAmount;
+        const best = candidates.reduce((bestSoFar, candidate) =>
+            !bestSoFar || candidate.results[index].totalNetWorth > bestSoFar.results[index].totalNetWorth ? candidate : bestSoFar, null);
+        
+        return {
+            index: index,
+            baselineNetWorth: baseline[index].totalNetWorth,
+            refinance: configured ? configured[index].amortization.refinance : null,
+            refinancedNetWorth: configured ? configured[index].totalNetWorth : null,
+            breakEvenMonths: calculateRefinanceBreakEven(mortgageAmount, inputs),
+            bestYear: best ? best.year : null,
+            bestNetWorth: best ? best.results[index].totalNetWorth : null,
+            bestBreakEvenMonths: best ? calculateRefinanceBreakEven(mortgageAmount, { ...inputs, refiYear: best.year }) : null
+        };
+    });
+}
+
+// Net worth of the mortgage scenarios for each number of discount points, with
+// the shortest hold at which each option catches up with paying no points
+export function analyzeDiscountPoints(inputs) {
+    const pointOptions = [0, 1, 2, 3];
+    if (!pointOptions.includes(inputs.discountPoints)) {
+        pointOptions.push(inputs.discountPoints);
+        pointOptions.sort((a, b) => a - b);
+    }
+    const calculators = [calculateMortgage80, calculateMortgageBoxSpread];
+    const maxHold = Math.max(Math.round(inputs.holdingPeriod), inputs.mortgageTerm);
+    
+    // Net worth by hold for every option, indexed [option][calculator][hold - 1]
+    const byHold = pointOptions.map(points => calculators.map(calculate => {
+        const values = [];
+        for (let hold = 1; hold <= maxHold; hold++) {
+            values.push(calculate({
+                ...inputs,
+                discountPoints: points,
+                holdingPeriod: hold,
+                sofrPath: buildSofrPath(inputs.sofrCurve, inputs.sofrRate, hold, inputs.sofrPathCustom)
+            }).totalNetWorth);
+        }
+        return values;
+    }));
+    const baselineIndex = pointOptions.indexOf(0);
+    
+    return pointOptions.map((points, optionIndex) => {
+        const pointsInputs = { ...inputs, discountPoints: points };
+        return {
+            points: points,
+            rate: inputs.mortgageRate - calculatePointsRateReduction(pointsInputs),
+            scenarios: calculators.map((calculate, calculatorIndex) => {
+                const result = calculate(pointsInputs);
+                const breakEvenHold = points === 0 ? null : byHold[optionIndex][calculatorIndex].findIndex((netWorth, i) =>
+                    netWorth >= byHold[baselineIndex][calculatorIndex][i]) + 1;
+                return {
+                    pointsCost: result.amortization.pointsCost,
+                    totalNetWorth: result.totalNetWorth,
+                    // 0 means the option never catches up within the loan term
+                    breakEvenHold: breakEvenHold
+                };
+            })
+        };
+    });
+}
+
+// Shift each field down and up and record the change in every scenario's
+// netVsAllCash. `fields` lists {key, label, scale, integer}, where scale
+// converts form units to the stored value (0.01 for percentages). `shift` is
+// {mode: 'relative' | 'absolute', amount}: relative shifts are a percentage
+// of each value, absolute shifts are percentage points and only apply to
+// percentage fields, since no one amount suits dollars, years and rates
+// alike. Shifted values are clamped to INPUT_RULES. Rows are sorted by
+// their impact on the scenario at scenarioIndex.
+export function runSensitivityAnalysis(inputs, fields, shift, scenarioIndex) {
+    const baseResults = calculateAllScenarios(inputs);
+    // Shifted values stay inside the field's INPUT_RULES limits. Past an
+    // exclusive lower limit the field is left at its current value.
+    const clampToRule = (field, value) => {
+        const rule = INPUT_RULES[field.key];
+        if (!rule) return value;
+        const formValue = value / field.scale;
+        if (rule.greaterThan !== undefined && formValue <= rule.greaterThan) return inputs[field.key];
+        if (rule.min !== undefined && formValue < rule.min) return rule.min * field.scale;
+        if (rule.max !== undefined && formValue > rule.max) return rule.max * field.scale;
+        return value;
+    };
+    const shiftValue = (field, direction) => {
+        const value = inputs[field.key];
+        const shifted = shift.mode === 'absolute' ?
+            value + direction * shift.amount * field.scale :
+            value * (1 + direction * shift.amount / 100);
+        return clampToRule(field, field.integer ? Math.round(shifted) : shifted);
+    };
+    const changesFor = (field, value) => {
+        if (value === inputs[field.key]) return baseResults.map(() => 0);
+        const results = calculateAllScenarios(deriveInputs({ ...inputs, [field.key]: value }));
+        return results.map((result, index) => result.netVsAllCash - baseResults[index].netVsAllCash);
+    };
+    
+    const shiftable = field => typeof inputs[field.key] === 'number' && (shift.mode !== 'absolute' || field.scale === 0.01);
+    const rows = fields.filter(shiftable).map(field => {
+        const lowValue = shiftValue(field, -1);
+        const highValue = shiftValue(field, 1);
+        const lowChanges = changesFor(field, lowValue);
+        const highChanges = changesFor(field, highValue);
+        return {
+            key: field.key,
+            label: field.label,
+            baseValue: inputs[field.key],
+            lowValue: lowValue,
+            highValue: highValue,
+            lowChanges: lowChanges,
+            highChanges: highChanges,
+            impact: Math.max(Math.abs(lowChanges[scenarioIndex] || 0), Math.abs(highChanges[scenarioIndex] || 0))
+        };
+    });
+    
+    rows.sort((a, b) => b.impact - a.impact);
+    return { baseResults: baseResults, rows: rows };
+}
+
+// Samples taken across the range before bisecting a sign change
+export const BREAK_EVEN_SAMPLES = 50;
+
+export const BREAK_EVEN_ITERATIONS = 60;
+
+// Find the value of one input, between low and high, at which two scenarios
+// have equal net worth. `field` is {key, integer} as in the sensitivity
+// panel. The range is sampled for the first sign change in the net worth
+// gap, which is then bisected; integer fields return the first whole value
+// at which the ranking has flipped.
+export function solveBreakEven(inputs, field, scenarioA, scenarioB, low, high) {
+    const gap = value => {
+        const results = calculateAllScenarios(deriveInputs({ ...inputs, [field.key]: value }));
+        if (!results[scenarioA] || !results[scenarioB]) throw new Error('Unknown scenario');
+        return results[scenarioA].totalNetWorth - results[scenarioB].totalNetWorth;
+    };
+    
+    const samples = [];
+    if (field.integer) {
+        for (let value = Math.ceil(low); value <= Math.floor(high); value++) samples.push(value);
+    } else {
+        for (let i = 0; i <= BREAK_EVEN_SAMPLES; i++) samples.push(low + (high - low) * i / BREAK_EVEN_SAMPLES);
+    }
+    if (samples.length === 0) {
+        throw new Error('No whole values in the range');
+    }
+    
+    const gaps = samples.map(gap);
+    const result = {
+        found: false,
+        low: low,
+        high: high,
+        lowGap: gaps[0],
+        highGap: gaps[gaps.length - 1]
+    };
+    
+    for (let i = 0; i < samples.length; i++) {
+        if (gaps[i] === 0) return { ...result, found: true, value: samples[i] };
+        if (i === 0 || Math.sign(gaps[i]) === Math.sign(gaps[i - 1])) continue;
+        if (field.integer) return { ...result, found: true, value: samples[i] };
+        
+        let below = samples[i - 1];
+        let above = samples[i];
+        let belowGap = gaps[i - 1];
+        for (let iteration = 0; iteration < BREAK_EVEN_ITERATIONS; iteration++) {
+            const middle = (below + above) / 2;
+            const middleGap = gap(middle);
+            if (Math.sign(middleGap) === Math.sign(belowGap)) {
+                below = middle;
+                belowGap = middleGap;
+            } else {
+                above = middle;
+            }
+        }
+        return { ...result, found: true, value: (below + above) / 2 };
+    }
+    
+    return result;
+}
+
+// Best scenario over a grid of two inputs. Each cell records the winner, the
+// runner-up and the winner's net worth margin over it.
+export function buildScenarioHeatmap(inputs, xKey, xValues, yKey, yValues) {
+    return yValues.map(y => xValues.map(x => {
+        const results = calculateAllScenarios(deriveInputs({ ...inputs, [xKey]: x, [yKey]: y }));
+        const ranked = results.map((result, index) => ({ index: index, netWorth: result.totalNetWorth }))
+            .sort((a, b) => b.netWorth - a.netWorth);
+        return {
+            x: x,
+            y: y,
+            winner: ranked[0].index,
+            runnerUp: ranked.length > 1 ? ranked[1].index : null,
+            margin: ranked.length > 1 ? ranked[0].netWorth - ranked[1].netWorth : 0
+        };
+    }));
+}
+
+// Seeded pseudo-random generator (mulberry32) so simulations are repeatable
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal draw using the Box-Muller transform
+export function randomNormal(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Cholesky decomposition of a correlation matrix, used to correlate draws
+export function choleskyDecomposition(matrix) {
+    const n = matrix.length;
+    const lower = matrix.map(() => new Array(n).fill(0));
+    
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            if (i === j) {
+                if (sum <= 0) {
+                    throw new Error('Correlation matrix is not positive definite');
+                }
+                lower[i][j] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+    
+    return lower;
+}
+
+// Percentile of an ascending sorted array, with linear interpolation
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const position = (sorted.length - 1) * p;
+    const lowerIndex = Math.floor(position);
+    const upperIndex = Math.ceil(position);
+    return sorted[lowerIndex] + (sorted[upperIndex] - sorted[lowerIndex]) * (position - lowerIndex);
+}
+
+// Draw one trial's market path and collapse the growth paths into constant
+// rates the scenario calculators accept. The geometric mean reproduces the
+// compounded end value exactly. SOFR shocks accumulate as a random walk
+// around the configured SOFR path.
+export function drawTrialInputs(inputs, settings, choleskyLower, random) {
+    let homeGrowth = 1;
+    let portfolioGrowth = 1;
+    let altGrowth = 1;
+    let sofrShift = 0;
+    const sofrPath = [];
+    const years = Math.max(1, Math.round(inputs.holdingPeriod));
+    
+    for (let year = 0; year < years; year++) {
+        const independent = [randomNormal(random), randomNormal(random), randomNormal(random), randomNormal(random)];
+        const shocks = choleskyLower.map(row => row.reduce((sum, weight, k) => sum + weight * independent[k], 0));
+        
+        homeGrowth *= Math.max(0, 1 + inputs.appreciation + settings.volAppreciation * shocks[0]);
+        portfolioGrowth *= Math.max(0, 1 + inputs.investReturn + settings.volReturn * shocks[1]);
+        altGrowth *= Math.max(0, 1 + inputs.blendedAltReturn + settings.volAltReturn * shocks[2]);
+        sofrShift += settings.volSofr * shocks[3];
+        sofrPath.push(Math.max(0, (year < inputs.sofrPath.length ? inputs.sofrPath[year] : inputs.sofrRate) + sofrShift));
+    }
+    
+    return {
+        ...inputs,
+        appreciation: Math.pow(homeGrowth, 1 / years) - 1,
+        investReturn: Math.pow(portfolioGrowth, 1 / years) - 1,
+        blendedAltReturn: Math.pow(altGrowth, 1 / years) - 1,
+        sofrPath: sofrPath
+    };
+}
+
+// Run a Monte Carlo simulation through the scenario calculators
+export function runMonteCarloSimulation(inputs, settings) {
+    const c = settings.correlations;
+    // Order: appreciation, portfolio return, alternative return, SOFR
+    const correlationMatrix = [
+        [1, c.appReturn, c.appAlt, c.sofrApp],
+        [c.appReturn, 1, c.returnAlt, c.sofrReturn],
+        [c.appAlt, c.returnAlt, 1, c.sofrAlt],
+        [c.sofrApp, c.sofrReturn, c.sofrAlt, 1]
+    ];
+    const choleskyLower = choleskyDecomposition(correlationMatrix);
+    const random = createRandom(settings.seed);
+    
+    const scenarioCount = getScenarioList(inputs).length;
+    const netWorths = Array.from({ length: scenarioCount }, () => []);
+    const beatsAllCash = new Array(scenarioCount).fill(0);
+    
+    for (let trial = 0; trial < settings.trials; trial++) {
+        const results = calculateAllScenarios(drawTrialInputs(inputs, settings, choleskyLower, random));
+        results.forEach((result, index) => {
+            netWorths[index].push(result.totalNetWorth);
+            if (result.netVsAllCash > 0) beatsAllCash[index]++;
+        });
+    }
+    
+    return netWorths.map((values, index) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return {
+            p10: percentile(sorted, 0.1),
+            p50: percentile(sorted, 0.5),
+            p90: percentile(sorted, 0.9),
+            mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+            probabilityBeatsAllCash: beatsAllCash[index] / settings.trials
+        };
+    });
+}
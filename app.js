@@ -1,38 +1,37 @@
+import {
+    scenarios,
+    customComponentTypes,
+    defaultInputs,
+    defaultSimulationSettings,
+    buildInputs,
+    DERIVED_INPUTS,
+    TIME_VALUE_INPUTS,
+    ALT_WEIGHT_FIELDS,
+    validateInputs,
+    validateCustomScenario,
+    normalizeWeights,
+    ARM_FIXED_YEARS,
+    calculatePointsRateReduction,
+    hasRefinance,
+    calculateSecuritiesLoan,
+    estimateMarginRisk,
+    getScenarioList,
+    describeCustomScenario,
+    calculateAllScenarios,
+    analyzeRefinance,
+    analyzeDiscountPoints,
+    runSensitivityAnalysis,
+    solveBreakEven,
+    buildScenarioHeatmap,
+    runMonteCarloSimulation
+} from './engine.mjs';
+
 // Global variables
 let chart = null;
-const scenarios = [
-    { name: 'All Cash', description: 'Purchase home with cash, no financing' },
-    { name: '80% Mortgage', description: '20% down payment, 80% conventional mortgage' },
-    { name: '$750K Mtg + Box Spread', description: 'Mortgage up to deduction limit plus synthetic box spread' },
-    { name: 'Securities Loan', description: 'Pledge securities as collateral with opportunity cost analysis' }
-];
+let sensitivityChart = null;
 
-// Default values
-const defaultInputs = {
-    homePrice: 1850000,
-    closingCosts: 2.3,
-    propertyTax: 1.26,
-    insurance: 24000,
-    maintenance: 1.5,
-    appreciation: 3.0,
-    holdingPeriod: 10,
-    mortgageRate: 6.9,
-    deductionLimit: 750000,
-    sofrRate: 4.33,
-    investReturn: 7.0,
-    taxOrdinary: 37.0,
-    taxCapitalGains: 23.8,
-    sellingCost: 7.0,
-    securitiesLtv: 40,
-    altReturnPe: 8.9,
-    altReturnHf: 8.0,
-    altReturnCredit: 10.0,
-    altReturnRe: 9.5,
-    altWeightPe: 30,
-    altWeightHf: 25,
-    altWeightCredit: 25,
-    altWeightRe: 20
-};
+// User-built scenarios, added after the built-in ones
+let customScenarios = [];
 
 // Utility functions
 function formatCurrency(value) {
@@ -49,6 +48,19 @@ function formatPercent(value) {
     return value.toFixed(2) + '%';
 }
 
+// IRR as a percentage, or a dash when the cash flows have none
+function formatIrr(irr) {
+    return irr === null ? '—' : formatPercent(irr * 100);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function parseInputValue(id) {
     const element = document.getElementById(id);
     if (!element) return 0;
@@ -56,257 +68,182 @@ function parseInputValue(id) {
     return isNaN(value) ? 0 : value;
 }
 
-// PMT function for mortgage calculations
-function pmt(rate, nper, pv) {
-    if (rate === 0) return -pv / nper;
-    if (nper === 0) return 0;
-    return -pv * (rate * Math.pow(1 + rate, nper)) / (Math.pow(1 + rate, nper) - 1);
+function parseInputText(id) {
+    const element = document.getElementById(id);
+    return element ? String(element.value).trim() : (defaultInputs[id] || '');
 }
 
 // Get current input values
 function getInputs() {
-    const inputs = {
-        homePrice: parseInputValue('homePrice'),
-        closingCosts: parseInputValue('closingCosts') / 100,
-        propertyTax: parseInputValue('propertyTax') / 100,
-        insurance: parseInputValue('insurance'),
-        maintenance: parseInputValue('maintenance') / 100,
-        appreciation: parseInputValue('appreciation') / 100,
-        holdingPeriod: parseInputValue('holdingPeriod'),
-        mortgageRate: parseInputValue('mortgageRate') / 100,
-        deductionLimit: parseInputValue('deductionLimit'),
-        sofrRate: parseInputValue('sofrRate') / 100,
-        investReturn: parseInputValue('investReturn') / 100,
-        taxOrdinary: parseInputValue('taxOrdinary') / 100,
-        taxCapitalGains: parseInputValue('taxCapitalGains') / 100,
-        sellingCost: parseInputValue('sellingCost') / 100,
-        securitiesLtv: parseInputValue('securitiesLtv') / 100,
-        altReturnPe: parseInputValue('altReturnPe') / 100,
-        altReturnHf: parseInputValue('altReturnHf') / 100,
-        altReturnCredit: parseInputValue('altReturnCredit') / 100,
-        altReturnRe: parseInputValue('altReturnRe') / 100,
-        altWeightPe: parseInputValue('altWeightPe') / 100,
-        altWeightHf: parseInputValue('altWeightHf') / 100,
-        altWeightCredit: parseInputValue('altWeightCredit') / 100,
-        altWeightRe: parseInputValue('altWeightRe') / 100
-    };
+    const values = {};
+    Object.keys(defaultInputs).forEach(id => {
+        values[id] = typeof defaultInputs[id] === 'number' ? parseInputValue(id) : parseInputText(id);
+    });
+    return buildInputs(values, customScenarios);
+}
+
+// Check every form field, show each issue under its field and in the summary
+// above the results, and return the issues
+function validateForm() {
+    const issues = validateInputs(readFormValues());
     
-    // Auto-calculate derived rates
-    inputs.boxSpreadRate = inputs.sofrRate + 0.005; // SOFR + 0.5%
-    inputs.securitiesRate = inputs.sofrRate + 0.01; // SOFR + 1.0%
+    document.querySelectorAll('.field-message').forEach(message => message.remove());
+    document.querySelectorAll('.form-control--error, .form-control--warning').forEach(element => {
+        element.classList.remove('form-control--error', 'form-control--warning');
+        element.removeAttribute('aria-invalid');
+    });
     
-    // Calculate blended alternative return
-    inputs.blendedAltReturn = (inputs.altReturnPe * inputs.altWeightPe) + 
-                             (inputs.altReturnHf * inputs.altWeightHf) + 
-                             (inputs.altReturnCredit * inputs.altWeightCredit) + 
-                             (inputs.altReturnRe * inputs.altWeightRe);
+    issues.forEach(issue => {
+        issue.fields.forEach(id => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            if (issue.severity === 'error') {
+                element.classList.remove('form-control--warning');
+                element.classList.add('form-control--error');
+                element.setAttribute('aria-invalid', 'true');
+            } else if (!element.classList.contains('form-control--error')) {
+                element.classList.add('form-control--warning');
+            }
+        });
+        
+        // A rule across several fields is explained once, under the last one
+        const lastField = document.getElementById(issue.fields[issue.fields.length - 1]);
+        if (lastField && lastField.parentElement) {
+            const message = document.createElement('div');
+            message.className = `field-message field-message--${issue.severity}`;
+            message.textContent = issue.message;
+            lastField.parentElement.appendChild(message);
+        }
+    });
     
-    return inputs;
+    updateValidationSummary(issues);
+    return issues;
 }
 
-// Update auto-calculated fields
-function updateCalculatedFields() {
-    const sofrRate = parseInputValue('sofrRate');
-    const boxSpreadElement = document.getElementById('boxSpreadRate');
-    const securitiesElement = document.getElementById('securitiesRate');
-    
-    if (boxSpreadElement) {
-        boxSpreadElement.value = (sofrRate + 0.5).toFixed(2);
-    }
-    if (securitiesElement) {
-        securitiesElement.value = (sofrRate + 1.0).toFixed(2);
-    }
+// Errors in the given fields (defaultInputs or defaultSimulationSettings),
+// which stop the calculations that use them
+function findErrors(issues, fields) {
+    return issues.filter(issue => issue.severity === 'error' && issue.fields.some(id => id in fields));
 }
 
-// Calculate ownership costs (taxes, insurance, maintenance)
-function calculateOwnershipCosts(inputs) {
-    const annualPropertyTax = inputs.homePrice * inputs.propertyTax;
-    const annualMaintenance = inputs.homePrice * inputs.maintenance;
-    const totalAnnualCosts = annualPropertyTax + inputs.insurance + annualMaintenance;
-    return totalAnnualCosts * inputs.holdingPeriod;
+function describeIssue(issue) {
+    return `${issue.fields.map(getInputLabel).join(', ')}: ${issue.message}`;
 }
 
-// Calculate home sale proceeds
-function calculateHomeSaleProceeds(inputs) {
-    const futureValue = inputs.homePrice * Math.pow(1 + inputs.appreciation, inputs.holdingPeriod);
-    const sellingCosts = futureValue * inputs.sellingCost;
-    return futureValue - sellingCosts;
+// List errors and warnings above the results
+function updateValidationSummary(issues) {
+    const summaryDiv = document.getElementById('validationSummary');
+    if (!summaryDiv) return;
+    
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    const renderList = list => `<ul>${list.map(issue => `<li>${escapeHtml(describeIssue(issue))}</li>`).join('')}</ul>`;
+    
+    summaryDiv.className = `validation-summary${errors.length > 0 ? ' validation-summary--error' : warnings.length > 0 ? ' validation-summary--warning' : ''}`;
+    summaryDiv.innerHTML = (errors.length > 0 ? `
+        <strong>Results are on hold until ${errors.length === 1 ? 'this input is' : `these ${errors.length} inputs are`} fixed:</strong>
+        ${renderList(errors)}` : '') + (warnings.length > 0 ? `
+        <strong>Results use ${warnings.length === 1 ? 'an unusual input' : 'unusual inputs'}:</strong>
+        ${renderList(warnings)}` : '');
 }
 
-// Scenario 1: All Cash
-function calculateAllCash(inputs) {
-    const upfrontCost = inputs.homePrice + (inputs.homePrice * inputs.closingCosts);
-    const ownershipCosts = calculateOwnershipCosts(inputs);
-    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
-    const totalNetWorth = homeSaleProceeds - ownershipCosts;
-    
-    return {
-        downPayment: inputs.homePrice,
-        upfrontCost: upfrontCost,
-        annualDebtService: 0,
-        totalInterestCost: 0,
-        portfolioGrowth: 0,
-        homeSaleProceeds: homeSaleProceeds,
-        totalNetWorth: totalNetWorth,
-        netVsAllCash: 0
-    };
+// Scale the alternative allocation weights so they total 100%
+function normalizeAltWeights() {
+    const weights = {};
+    ALT_WEIGHT_FIELDS.forEach(id => { weights[id] = parseInputValue(id); });
+    const normalized = normalizeWeights(weights);
+    ALT_WEIGHT_FIELDS.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.value = normalized[id];
+    });
+    updateTable();
 }
 
-// Scenario 2: 80% Mortgage
-function calculateMortgage80(inputs) {
-    const downPayment = inputs.homePrice * 0.2;
-    const mortgageAmount = inputs.homePrice * 0.8;
-    const closingCosts = inputs.homePrice * inputs.closingCosts;
-    const upfrontCost = downPayment + closingCosts;
-    
-    const monthlyRate = inputs.mortgageRate / 12;
-    const numPayments = inputs.holdingPeriod * 12;
-    const monthlyPayment = pmt(monthlyRate, numPayments, mortgageAmount);
-    const annualDebtService = Math.abs(monthlyPayment * 12);
-    const totalInterestCost = (annualDebtService * inputs.holdingPeriod) - mortgageAmount;
-    
-    // Remaining cash for investment
-    const remainingCash = inputs.homePrice - downPayment - closingCosts;
-    const portfolioGrowth = remainingCash > 0 ? remainingCash * Math.pow(1 + inputs.investReturn, inputs.holdingPeriod) - remainingCash : 0;
-    
-    // Tax savings from mortgage interest deduction
-    const deductibleAmount = Math.min(mortgageAmount, inputs.deductionLimit);
-    const avgInterestRate = inputs.mortgageRate; // Simplified assumption
-    const taxSavings = deductibleAmount * avgInterestRate * inputs.taxOrdinary * inputs.holdingPeriod * 0.5; // Average over period
-    
-    const ownershipCosts = calculateOwnershipCosts(inputs);
-    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
-    const totalNetWorth = portfolioGrowth + homeSaleProceeds - totalInterestCost - ownershipCosts + taxSavings;
+// Update auto-calculated fields
+function updateCalculatedFields() {
+    const inputs = getInputs();
+    const boxSpreadElement = document.getElementById('boxSpreadRate');
+    const securitiesElement = document.getElementById('securitiesRate');
+    const sofrPathElement = document.getElementById('sofrPathPreview');
     
-    return {
-        downPayment: downPayment,
-        upfrontCost: upfrontCost,
-        annualDebtService: annualDebtService,
-        totalInterestCost: totalInterestCost,
-        portfolioGrowth: portfolioGrowth,
-        homeSaleProceeds: homeSaleProceeds,
-        totalNetWorth: totalNetWorth,
-        netVsAllCash: 0
-    };
+    if (boxSpreadElement) {
+        boxSpreadElement.value = (inputs.boxSpreadRate * 100).toFixed(2);
+    }
+    if (securitiesElement) {
+        securitiesElement.value = (inputs.securitiesRate * 100).toFixed(2);
+    }
+    if (sofrPathElement) {
+        sofrPathElement.value = inputs.sofrPath.map(rate => (rate * 100).toFixed(2)).join(', ');
+    }
 }
 
-// Scenario 3: $750K Mortgage + Box Spread
-function calculateMortgageBoxSpread(inputs) {
-    const downPayment = inputs.homePrice * 0.2;
-    const totalFinancing = inputs.homePrice * 0.8;
-    const mortgageAmount = Math.min(inputs.deductionLimit, totalFinancing);
-    const boxSpreadAmount = Math.max(0, totalFinancing - mortgageAmount);
-    const closingCosts = inputs.homePrice * inputs.closingCosts;
-    const upfrontCost = downPayment + closingCosts;
-    
-    // Mortgage portion
-    const monthlyRate = inputs.mortgageRate / 12;
-    const numPayments = inputs.holdingPeriod * 12;
-    const monthlyMortgagePayment = mortgageAmount > 0 ? pmt(monthlyRate, numPayments, mortgageAmount) : 0;
-    const annualMortgageService = Math.abs(monthlyMortgagePayment * 12);
-    
-    // Box spread portion
-    const annualBoxSpreadCost = boxSpreadAmount * inputs.boxSpreadRate;
-    const totalAnnualDebtService = annualMortgageService + annualBoxSpreadCost;
-    
-    const mortgageInterest = mortgageAmount > 0 ? (annualMortgageService * inputs.holdingPeriod) - mortgageAmount : 0;
-    const boxSpreadInterest = annualBoxSpreadCost * inputs.holdingPeriod;
-    const totalInterestCost = mortgageInterest + boxSpreadInterest;
-    
-    // Tax savings
-    const taxSavings = (mortgageInterest * 0.5 + boxSpreadInterest) * inputs.taxOrdinary; // Mortgage interest averaged
-    
-    // Portfolio growth
-    const remainingCash = inputs.homePrice - downPayment - closingCosts;
-    const portfolioGrowth = remainingCash > 0 ? remainingCash * Math.pow(1 + inputs.investReturn, inputs.holdingPeriod) - remainingCash : 0;
-    
-    const ownershipCosts = calculateOwnershipCosts(inputs);
-    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
-    const totalNetWorth = portfolioGrowth + homeSaleProceeds - totalInterestCost - ownershipCosts + taxSavings;
-    
+// Get current simulation settings
+function getSimulationSettings() {
     return {
-        downPayment: downPayment,
-        upfrontCost: upfrontCost,
-        annualDebtService: totalAnnualDebtService,
-        totalInterestCost: totalInterestCost,
-        portfolioGrowth: portfolioGrowth,
-        homeSaleProceeds: homeSaleProceeds,
-        totalNetWorth: totalNetWorth,
-        netVsAllCash: 0
+        trials: Math.max(1, Math.round(parseInputValue('simTrials'))),
+        seed: Math.round(parseInputValue('simSeed')),
+        volAppreciation: parseInputValue('simVolAppreciation') / 100,
+        volReturn: parseInputValue('simVolReturn') / 100,
+        volAltReturn: parseInputValue('simVolAltReturn') / 100,
+        volSofr: parseInputValue('simVolSofr') / 100,
+        correlations: {
+            appReturn: parseInputValue('simCorrAppReturn'),
+            appAlt: parseInputValue('simCorrAppAlt'),
+            returnAlt: parseInputValue('simCorrReturnAlt'),
+            sofrApp: parseInputValue('simCorrSofrApp'),
+            sofrReturn: parseInputValue('simCorrSofrReturn'),
+            sofrAlt: parseInputValue('simCorrSofrAlt')
+        }
     };
 }
 
-// Scenario 4: Securities Loan with Enhanced Opportunity Cost
-function calculateSecuritiesLoan(inputs) {
-    const downPayment = 0;
-    const loanAmount = inputs.homePrice * 0.8; // 80% LTV on home
-    const upfrontCost = inputs.homePrice * inputs.closingCosts;
-    
-    // Securities required to be pledged
-    const pledgedSecurities = loanAmount / inputs.securitiesLtv;
-    
-    // Annual interest cost
-    const annualInterest = loanAmount * inputs.securitiesRate;
-    
-    // Annual opportunity cost from missing alternative investments
-    const annualOpportunityCost = pledgedSecurities * (inputs.blendedAltReturn - inputs.investReturn);
-    
-    // Total annual cost
-    const totalAnnualCost = annualInterest + annualOpportunityCost;
-    const totalInterestCost = totalAnnualCost * inputs.holdingPeriod;
-    
-    // Tax savings from securities loan interest (only on interest, not opportunity cost)
-    const taxSavings = (annualInterest * inputs.holdingPeriod) * inputs.taxOrdinary;
-    
-    // Full portfolio growth since no cash used upfront (minus pledged securities)
-    const availableForInvestment = inputs.homePrice - pledgedSecurities;
-    const portfolioGrowth = availableForInvestment > 0 ? 
-        availableForInvestment * Math.pow(1 + inputs.investReturn, inputs.holdingPeriod) - availableForInvestment : 0;
+// Run the simulation and update its results display
+function updateSimulationResults() {
+    const simulationDiv = document.getElementById('simulationResults');
+    if (!simulationDiv) return;
     
-    const ownershipCosts = calculateOwnershipCosts(inputs);
-    const homeSaleProceeds = calculateHomeSaleProceeds(inputs);
-    const totalNetWorth = portfolioGrowth + homeSaleProceeds - totalInterestCost - ownershipCosts + taxSavings;
+    const issues = validateForm();
+    if (findErrors(issues, { ...defaultInputs, ...defaultSimulationSettings }).length > 0) {
+        simulationDiv.innerHTML = '<p class="negative-value">Fix the highlighted inputs to run the simulation.</p>';
+        return;
+    }
     
-    return {
-        downPayment: downPayment,
-        upfrontCost: upfrontCost,
-        annualDebtService: totalAnnualCost,
-        totalInterestCost: totalInterestCost,
-        portfolioGrowth: portfolioGrowth,
-        homeSaleProceeds: homeSaleProceeds,
-        totalNetWorth: totalNetWorth,
-        netVsAllCash: 0,
-        // Additional securities loan specific data
-        loanAmount: loanAmount,
-        pledgedSecurities: pledgedSecurities,
-        annualInterest: annualInterest,
-        annualOpportunityCost: annualOpportunityCost,
-        blendedAltReturn: inputs.blendedAltReturn
-    };
-}
-
-// Calculate all scenarios
-function calculateAllScenarios() {
     try {
+        const settings = getSimulationSettings();
         const inputs = getInputs();
+        const scenarioList = getScenarioList(inputs);
+        const summary = runMonteCarloSimulation(inputs, settings);
         
-        const results = [
-            calculateAllCash(inputs),
-            calculateMortgage80(inputs),
-            calculateMortgageBoxSpread(inputs),
-            calculateSecuritiesLoan(inputs)
-        ];
-        
-        // Calculate net vs all-cash for each scenario
-        const allCashNetWorth = results[0].totalNetWorth;
-        results.forEach(result => {
-            result.netVsAllCash = result.totalNetWorth - allCashNetWorth;
-        });
+        const rows = summary.map((s, index) => `
+                <tr class="${scenarioRowClass(index)}">
+                    <td class="scenario-name">${escapeHtml(scenarioList[index].name)}</td>
+                    <td class="currency-cell">${formatCurrency(s.p10)}</td>
+                    <td class="currency-cell">${formatCurrency(s.p50)}</td>
+                    <td class="currency-cell">${formatCurrency(s.p90)}</td>
+                    <td class="currency-cell">${formatCurrency(s.mean)}</td>
+                    <td class="currency-cell">${index === 0 ? '—' : formatPercent(s.probabilityBeatsAllCash * 100)}</td>
+                </tr>`).join('');
         
-        return results;
+        simulationDiv.innerHTML = `
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>Scenario</th>
+                        <th>P10 Net Worth</th>
+                        <th>P50 Net Worth</th>
+                        <th>P90 Net Worth</th>
+                        <th>Mean Net Worth</th>
+                        <th>P(Beats All Cash)</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            <p class="optimal-details">${settings.trials.toLocaleString('en-US')} trials, seed ${settings.seed}</p>
+        `;
     } catch (error) {
-        console.error('Error in calculateAllScenarios:', error);
-        return [];
+        console.error('Error running simulation:', error);
+        simulationDiv.innerHTML = `<p class="negative-value">Simulation failed: ${escapeHtml(error.message)}</p>`;
     }
 }
 
@@ -318,7 +255,7 @@ function updateOpportunityCostBreakdown() {
     
     if (!opportunityDiv) return;
     
-    const apparentCost = securitiesResult.annualInterest * inputs.holdingPeriod;
+    const apparentCost = securitiesResult.interestByYear.reduce((sum, interest) => sum + interest, 0);
     const trueCost = securitiesResult.totalInterestCost;
     
     opportunityDiv.innerHTML = `
@@ -393,10 +330,493 @@ function updateOpportunityCostBreakdown() {
     `;
 }
 
+// Update the securities loan margin call risk display
+function updateMarginRiskBreakdown() {
+    const marginDiv = document.getElementById('marginRiskBreakdown');
+    if (!marginDiv) return;
+    
+    // The expected cost runs simTrials random paths, so the simulation
+    // settings must be valid too
+    if (findErrors(validateForm(), { ...defaultInputs, ...defaultSimulationSettings }).length > 0) {
+        marginDiv.innerHTML = '<p class="negative-value">Fix the highlighted inputs to estimate the margin call risk.</p>';
+        return;
+    }
+    
+    const inputs = getInputs();
+    const securitiesResult = calculateSecuritiesLoan(inputs);
+    
+    const stress = securitiesResult.marginStress;
+    const risk = estimateMarginRisk(inputs, securitiesResult.loanAmount, securitiesResult.pledgedSecurities, getSimulationSettings());
+    const responseLabel = inputs.marginResponse === 'liquidate' ? 'Forced sales' : 'Cash top-ups';
+    const stressAmount = inputs.marginResponse === 'liquidate' ? stress.forcedSales : stress.topUpCash;
+    const eventList = stress.events.map(e => `Year ${e.year} at ${formatPercent(e.ltv * 100)} LTV: ${formatCurrency(e.amount)}`).join('<br>');
+    
+    marginDiv.innerHTML = `
+        <div class="cost-breakdown">
+            <div class="cost-item">
+                <div class="cost-item-label">Survivable Drawdown</div>
+                <div class="cost-item-value">${formatPercent(securitiesResult.survivableDrawdown * 100)}</div>
+                <div class="cost-item-annual">${formatPercent(inputs.securitiesLtv * 100)} initial vs ${formatPercent(inputs.maintenanceLtv * 100)} maintenance LTV</div>
+            </div>
+            <div class="cost-item">
+                <div class="cost-item-label">Stress Test Margin Calls</div>
+                <div class="cost-item-value">${stress.marginCalls}</div>
+                <div class="cost-item-annual">Peak LTV ${formatPercent(stress.maxLtv * 100)}</div>
+            </div>
+            <div class="cost-item">
+                <div class="cost-item-label">${responseLabel} (Stress Test)</div>
+                <div class="cost-item-value">${formatCurrency(stressAmount)}</div>
+                <div class="cost-item-annual">Tax on sales: ${formatCurrency(stress.taxOnSales)}</div>
+            </div>
+            <div class="cost-item total-cost-highlight">
+                <div class="cost-item-label">Expected Liquidation Cost</div>
+                <div class="cost-item-value">${formatCurrency(risk.expectedCost)}</div>
+                <div class="cost-item-annual">${formatPercent(risk.probabilityOfMarginCall * 100)} chance of a margin call</div>
+            </div>
+        </div>
+        <p class="optimal-details">
+            Stress test: ${formatPercent(inputs.stressDrawdown * 100)} drawdown in year ${inputs.stressYear} with a ${inputs.stressRecoveryYears}-year recovery, costing ${formatCurrency(stress.cost)}.
+            ${eventList ? '<br>' + eventList : ''}
+            <br>Expected cost uses the simulation settings' portfolio volatility. Margin call costs are not included in net worth.
+        </p>
+    `;
+}
+
+// Summary of PMI premiums and when they drop off
+function describePmi(pmi) {
+    if (!pmi.required) return '';
+    const dropOff = pmi.dropOffMonth !== null ? `drops off in month ${pmi.dropOffMonth}` : 'still due at sale';
+    return ` + ${formatCurrency(pmi.monthlyPremium)}/month PMI (${dropOff})`;
+}
+
+// Update the down payment comparison display
+function updateDownPaymentComparison() {
+    const comparisonDiv = document.getElementById('downPaymentComparison');
+    if (!comparisonDiv) return;
+    
+    const inputs = getInputs();
+    const downPayments = [0.1, 0.2, 0.3];
+    if (!downPayments.some(d => Math.abs(d - inputs.downPaymentPct) < 1e-9)) {
+        downPayments.push(inputs.downPaymentPct);
+        downPayments.sort((a, b) => a - b);
+    }
+    
+    // Only the built-in financed scenarios depend on the down payment
+    const financedIndexes = [1, 2, 3];
+    const runs = downPayments.map(downPaymentPct => calculateAllScenarios({ ...inputs, downPaymentPct: downPaymentPct, customScenarios: [] }));
+    
+    const header = downPayments.map(d => `<th>${formatPercent(d * 100)} Down</th>`).join('');
+    const rows = financedIndexes.map(index => `
+                <tr class="${scenarioRowClass(index)}">
+                    <td class="scenario-name">${index === 1 ? 'Mortgage' : scenarios[index].name}</td>
+                    ${runs.map(results => `<td class="currency-cell ${results[index].netVsAllCash >= 0 ? 'positive-value' : 'negative-value'}">${formatCurrency(results[index].netVsAllCash)}</td>`).join('')}
+                </tr>`).join('');
+    const pmiRow = `
+                <tr>
+                    <td class="scenario-name">PMI Paid (Mortgage)</td>
+                    ${runs.map(results => `<td class="currency-cell">${formatCurrency(results[1].pmi.total)}</td>`).join('')}
+                </tr>`;
+    
+    comparisonDiv.innerHTML = `
+        <table class="comparison-table amortization-table">
+            <thead>
+                <tr>
+                    <th>Net vs All-Cash</th>
+                    ${header}
+                </tr>
+            </thead>
+            <tbody>${rows}${pmiRow}
+            </tbody>
+        </table>
+    `;
+}
+
+// Describe a refinance break-even in months
+function describeBreakEven(months) {
+    return months === null ? 'Never' : `${months} months`;
+}
+
+// Update the refinance analysis display
+function updateRefinanceAnalysis() {
+    const refinanceDiv = document.getElementById('refinanceAnalysis');
+    if (!refinanceDiv) return;
+    
+    const inputs = getInputs();
+    if (Math.round(inputs.holdingPeriod) < 2) {
+        refinanceDiv.innerHTML = '<p>A refinance needs a holding period of at least 2 years.</p>';
+        return;
+    }
+    
+    const analysis = analyzeRefinance(inputs);
+    const rateNote = inputs.refiRateSource === 'path' ?
+        `SOFR at the refinance year + ${formatPercent(inputs.refiSpread * 100)}` :
+        formatPercent(inputs.refiRate * 100);
+    
+    const rows = analysis.map(a => {
+        const difference = a.refinancedNetWorth !== null ? a.refinancedNetWorth - a.baselineNetWorth : null;
+        const bestDifference = a.bestNetWorth - a.baselineNetWorth;
+        return `
+                <tr class="${scenarioRowClass(a.index)}">
+                    <td class="scenario-name">${a.index === 1 ? 'Mortgage' : scenarios[a.index].name}</td>
+                    <td class="currency-cell">${formatCurrency(a.baselineNetWorth)}</td>
+                    <td class="currency-cell">${a.refinance ? formatPercent(a.refinance.rate * 100) : '—'}</td>
+                    <td class="currency-cell ${difference === null ? '' : difference >= 0 ? 'positive-value' : 'negative-value'}">${difference === null ? '—' : formatCurrency(difference)}</td>
+                    <td class="currency-cell">${a.refinance ? describeBreakEven(a.breakEvenMonths) : '—'}</td>
+                    <td class="currency-cell">${bestDifference > 0 ? `Year ${a.bestYear}` : 'None'}</td>
+                    <td class="currency-cell ${bestDifference >= 0 ? 'positive-value' : 'negative-value'}">${formatCurrency(bestDifference)}</td>
+                    <td class="currency-cell">${describeBreakEven(a.bestBreakEvenMonths)}</td>
+                </tr>`;
+    }).join('');
+    
+    refinanceDiv.innerHTML = `
+        <p>Refinance rate: ${rateNote}, ${inputs.refiTerm}-year term, closing costs ${formatPercent(inputs.refiClosingCosts * 100)} of the new loan${inputs.refiCashOut > 0 ? `, ${formatCurrency(inputs.refiCashOut)} cash-out invested (its interest is not deductible)` : ''}.
+        ${hasRefinance(inputs) ? `Refinancing after year ${inputs.refiYear}.` : 'No refinance is scheduled; set a refinance year to apply one.'}</p>
+        <table class="comparison-table amortization-table">
+            <thead>
+                <tr>
+                    <th>Scenario</th>
+                    <th>Net Worth Without Refinance</th>
+                    <th>Refinance Rate</th>
+                    <th>Net Worth Change</th>
+                    <th>Break-Even</th>
+                    <th>Best Refinance Year</th>
+                    <th>Best Net Worth Change</th>
+                    <th>Best Break-Even</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    `;
+}
+
+// Update the discount points buy-down display
+function updateDiscountPointsAnalysis() {
+    const pointsDiv = document.getElementById('discountPointsAnalysis');
+    if (!pointsDiv) return;
+    
+    const inputs = getInputs();
+    const analysis = analyzeDiscountPoints(inputs);
+    const describeHold = hold => hold === null ? '—' : hold === 0 ? 'Never' : `${hold} ${hold === 1 ? 'year' : 'years'}`;
+    
+    const rows = analysis.map(option => `
+                <tr>
+                    <td class="scenario-name">${option.points} ${option.points === 1 ? 'Point' : 'Points'}${option.points === inputs.discountPoints ? ' (selected)' : ''}</td>
+                    <td class="currency-cell">${ARM_FIXED_YEARS[inputs.mortgageProduct] ? `−${formatPercent(calculatePointsRateReduction({ ...inputs, discountPoints: option.points }) * 100)} initial` : formatPercent(option.rate * 100)}</td>
+                    ${option.scenarios.map(scenario => `
+                    <td class="currency-cell">${formatCurrency(scenario.pointsCost)}</td>
+                    <td class="currency-cell">${formatCurrency(scenario.totalNetWorth)}</td>
+                    <td class="currency-cell">${describeHold(scenario.breakEvenHold)}</td>`).join('')}
+                </tr>`).join('');
+    
+    pointsDiv.innerHTML = `
+        <p>Each point costs 1% of the mortgage and lowers the rate by ${formatPercent(inputs.pointRateReduction * 100)}. Points are deducted in the year paid; break-even is the shortest hold at which the option's net worth matches paying no points.</p>
+        <table class="comparison-table amortization-table">
+            <thead>
+                <tr>
+                    <th rowspan="2">Points</th>
+                    <th rowspan="2">Rate</th>
+                    <th colspan="3">Mortgage</th>
+                    <th colspan="3">${scenarios[2].name}</th>
+                </tr>
+                <tr>
+                    <th>Cost</th>
+                    <th>Net Worth</th>
+                    <th>Break-Even Hold</th>
+                    <th>Cost</th>
+                    <th>Net Worth</th>
+                    <th>Break-Even Hold</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    `;
+}
+
+// Update the mortgage amortization breakdown display
+function updateAmortizationBreakdown(results) {
+    const amortizationDiv = document.getElementById('amortizationBreakdown');
+    if (!amortizationDiv) return;
+    
+    const scenarioList = getScenarioList(getInputs());
+    let html = '';
+    results.forEach((result, index) => {
+        const schedule = result.amortization;
+        if (!schedule || schedule.principal <= 0) return;
+        
+        const deduction = result.deduction;
+        const rows = schedule.years.map((y, i) => `
+                <tr>
+                    <td>Year ${y.year}</td>
+                    <td class="currency-cell">${formatPercent(y.rate * 100)}</td>
+                    <td class="currency-cell">${formatCurrency(y.interestPaid)}</td>
+                    <td class="currency-cell">${formatCurrency(y.principalPaid)}</td>
+                    <td class="currency-cell">${formatCurrency(y.endingBalance)}</td>
+                    <td class="currency-cell">${formatCurrency(result.pmi.years[i].premium)}</td>
+                    <td class="currency-cell">${formatCurrency(deduction.years[i].deductibleInterest)} (${formatPercent(deduction.years[i].deductibleShare * 100)})</td>
+                    <td class="currency-cell">${formatCurrency(deduction.years[i].taxSavings)}</td>
+                </tr>`).join('');
+        
+        html += `
+        <div class="amortization-scenario">
+            <div class="blended-return-title">${escapeHtml(scenarioList[index].name)}: ${formatCurrency(schedule.principal)} mortgage, ${formatCurrency(schedule.monthlyPayment)}/month${describePmi(result.pmi)}</div>
+            <table class="comparison-table amortization-table">
+                <thead>
+                    <tr>
+                        <th>Year</th>
+                        <th>Rate</th>
+                        <th>Interest Paid</th>
+                        <th>Principal Paid</th>
+                        <th>Ending Balance</th>
+                        <th>PMI</th>
+                        <th>Deductible Interest</th>
+                        <th>Tax Savings</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td>Total</td>
+                        <td></td>
+                        <td class="currency-cell">${formatCurrency(schedule.totalInterest)}</td>
+                        <td class="currency-cell">${formatCurrency(schedule.totalPrincipal)}</td>
+                        <td class="currency-cell">${formatCurrency(schedule.payoffAtSale)} paid from sale</td>
+                        <td class="currency-cell">${formatCurrency(result.pmi.total)}</td>
+                        <td class="currency-cell">${formatCurrency(deduction.totalDeductibleInterest)}</td>
+                        <td class="currency-cell">${formatCurrency(deduction.totalTaxSavings)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>`;
+    });
+    
+    amortizationDiv.innerHTML = html || '<p class="optimal-details">No mortgage financing in the current scenarios.</p>';
+}
+
+// Update the box spread Section 1256 tax breakdown display
+function updateBoxSpreadTaxBreakdown(results) {
+    const boxSpreadDiv = document.getElementById('boxSpreadTaxBreakdown');
+    if (!boxSpreadDiv) return;
+    
+    const result = results.find(r => r.boxSpreadTax && r.boxSpreadAmount > 0);
+    if (!result) {
+        boxSpreadDiv.innerHTML = '<p class="optimal-details">No box spread financing in the current scenarios.</p>';
+        return;
+    }
+    
+    const boxSpreadTax = result.boxSpreadTax;
+    const rows = boxSpreadTax.years.map(y => `
+                <tr>
+                    <td>Year ${y.year}</td>
+                    <td class="currency-cell">${formatCurrency(y.loss)}</td>
+                    <td class="currency-cell">${formatCurrency(y.offsetGains)}</td>
+                    <td class="currency-cell">${formatCurrency(y.offsetOrdinary)}</td>
+                    <td class="currency-cell">${formatCurrency(y.carryforward)}</td>
+                    <td class="currency-cell">${formatCurrency(y.taxSavings)}</td>
+                </tr>`).join('');
+    
+    boxSpreadDiv.innerHTML = `
+        <div class="blended-return-title">${formatCurrency(result.boxSpreadAmount)} box spread: implied interest taxed as 60% long-term / 40% short-term capital losses</div>
+        <table class="comparison-table amortization-table">
+            <thead>
+                <tr>
+                    <th>Year</th>
+                    <th>Section 1256 Loss</th>
+                    <th>Offset vs Gains</th>
+                    <th>Offset vs Ordinary</th>
+                    <th>Carryforward</th>
+                    <th>Tax Savings</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td>Total</td>
+                    <td class="currency-cell">${formatCurrency(boxSpreadTax.totalLosses)}</td>
+                    <td></td>
+                    <td></td>
+                    <td class="currency-cell">${formatCurrency(boxSpreadTax.unusedCarryforward)} unused</td>
+                    <td class="currency-cell">${formatCurrency(boxSpreadTax.totalTaxSavings)}</td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+// Add a component row to the custom scenario builder
+function addCustomComponentRow(type) {
+    const tbody = document.getElementById('customComponentRows');
+    if (!tbody) return;
+    
+    const defaults = customComponentTypes[type] || customComponentTypes.conventional;
+    const options = Object.keys(customComponentTypes)
+        .map(key => `<option value="${key}"${key === type ? ' selected' : ''}>${customComponentTypes[key].label}</option>`)
+        .join('');
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><select class="custom-component-type">${options}</select></td>
+        <td><input type="number" class="custom-component-ltv" value="${defaults.defaultLtv}" step="1" min="0" max="100"></td>
+        <td><input type="number" class="custom-component-rate" value="${defaults.defaultRate}" step="0.05" min="0" max="20"></td>
+        <td><input type="number" class="custom-component-term" value="${defaults.defaultTerm}" step="1" min="${defaults.amortizing ? 1 : 0}" max="40"></td>
+        <td><button type="button" class="btn btn--outline btn--sm custom-component-remove">Remove</button></td>
+    `;
+    
+    // Switching the type resets the row to that component's defaults
+    row.querySelector('.custom-component-type').addEventListener('change', function(e) {
+        const typeDefaults = customComponentTypes[e.target.value];
+        row.querySelector('.custom-component-ltv').value = typeDefaults.defaultLtv;
+        row.querySelector('.custom-component-rate').value = typeDefaults.defaultRate;
+        row.querySelector('.custom-component-term').value = typeDefaults.defaultTerm;
+        row.querySelector('.custom-component-term').setAttribute('min', typeDefaults.amortizing ? 1 : 0);
+    });
+    row.querySelector('.custom-component-remove').addEventListener('click', function() {
+        row.remove();
+    });
+    
+    tbody.appendChild(row);
+}
+
+// Read the builder form into a custom scenario definition
+function readCustomScenarioBuilder() {
+    const nameElement = document.getElementById('customScenarioName');
+    const rows = document.querySelectorAll('#customComponentRows tr');
+    const components = Array.from(rows).map(row => ({
+        type: row.querySelector('.custom-component-type').value,
+        ltv: parseFloat(row.querySelector('.custom-component-ltv').value),
+        rate: parseFloat(row.querySelector('.custom-component-rate').value),
+        term: parseFloat(row.querySelector('.custom-component-term').value)
+    }));
+    
+    return {
+        name: (nameElement && nameElement.value.trim()) || `Custom Scenario ${customScenarios.length + 1}`,
+        components: components
+    };
+}
+
+// Add the scenario in the builder to the comparison
+function addCustomScenario() {
+    const definition = readCustomScenarioBuilder();
+    const messageElement = document.getElementById('customScenarioMessage');
+    const issues = validateCustomScenario(definition);
+    const errors = issues.filter(issue => issue.severity === 'error');
+    
+    // Errors keep the scenario out; warnings are shown but it is still added
+    if (messageElement) messageElement.textContent = (errors.length > 0 ? errors : issues).map(issue => issue.message).join(' ');
+    if (errors.length > 0) return;
+    
+    customScenarios.push(definition);
+    updateCustomScenarioList();
+    updateTable();
+}
+
+// Keep the custom scenario definitions that pass validation, copying only
+// the known fields. Used for definitions read from links and files.
+function filterValidCustomScenarios(definitions) {
+    if (!Array.isArray(definitions)) return [];
+    return definitions
+        .filter(definition => !validateCustomScenario(definition).some(issue => issue.severity === 'error'))
+        .map(definition => ({
+            name: definition.name,
+            components: definition.components.map(c => ({ type: c.type, ltv: c.ltv, rate: c.rate, term: c.term }))
+        }));
+}
+
+// Remove a custom scenario by its position in the list
+function removeCustomScenario(index) {
+    customScenarios.splice(index, 1);
+    updateCustomScenarioList();
+    updateTable();
+}
+
+// Update the list of custom scenarios in the builder
+function updateCustomScenarioList() {
+    const listDiv = document.getElementById('customScenarioList');
+    if (!listDiv) return;
+    
+    if (customScenarios.length === 0) {
+        listDiv.innerHTML = '<p class="optimal-details">No custom scenarios yet.</p>';
+        return;
+    }
+    
+    listDiv.innerHTML = customScenarios.map((definition, index) => `
+        <div class="custom-scenario-item">
+            <div>
+                <div class="scenario-name">${escapeHtml(definition.name)}</div>
+                <div class="optimal-details">${escapeHtml(describeCustomScenario(definition))}</div>
+            </div>
+            <button type="button" class="btn btn--outline btn--sm" data-remove-scenario="${index}">Remove</button>
+        </div>
+    `).join('');
+    
+    listDiv.querySelectorAll('[data-remove-scenario]').forEach(button => {
+        button.addEventListener('click', function() {
+            removeCustomScenario(parseInt(button.dataset.removeScenario, 10));
+        });
+    });
+}
+
+// Analysis panels that rerun the scenarios many times are kept out of the
+// per-keystroke update: they refresh once the inputs settle, and only while
+// they are on screen. Panels scrolled into view later catch up then.
+const DEFERRED_PANEL_DELAY = 400;
+const deferredPanels = [
+    { id: 'marginRiskBreakdown', update: updateMarginRiskBreakdown },
+    { id: 'refinanceAnalysis', update: updateRefinanceAnalysis },
+    { id: 'discountPointsAnalysis', update: updateDiscountPointsAnalysis },
+    { id: 'sensitivityChart', update: updateSensitivityAnalysis },
+    { id: 'scenarioHeatmap', update: updateScenarioHeatmap }
+];
+let deferredPanelTimeout = null;
+
+function refreshDeferredPanel(panel) {
+    panel.stale = false;
+    try {
+        panel.update();
+    } catch (error) {
+        console.error(`Error updating ${panel.id}:`, error);
+    }
+}
+
+// Mark every deferred panel out of date, or with `blocked` (invalid inputs)
+// cancel any pending refresh so the panels keep their last values
+function scheduleDeferredPanels(blocked = false) {
+    clearTimeout(deferredPanelTimeout);
+    deferredPanels.forEach(panel => { panel.stale = !blocked; });
+    if (blocked) return;
+    
+    deferredPanelTimeout = setTimeout(() => {
+        deferredPanels.filter(panel => panel.stale && panel.visible).forEach(refreshDeferredPanel);
+    }, DEFERRED_PANEL_DELAY);
+}
+
+// Track which deferred panels are on screen. Without IntersectionObserver
+// every panel counts as visible.
+function observeDeferredPanels() {
+    if (typeof IntersectionObserver === 'undefined') {
+        deferredPanels.forEach(panel => { panel.visible = true; });
+        return;
+    }
+    
+    const observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            const panel = deferredPanels.find(p => p.element === entry.target);
+            panel.visible = entry.isIntersecting;
+            if (panel.visible && panel.stale) refreshDeferredPanel(panel);
+        });
+    }, { rootMargin: '200px' });
+    deferredPanels.forEach(panel => {
+        panel.element = document.getElementById(panel.id);
+        if (panel.element) observer.observe(panel.element);
+    });
+}
+
 // Update the comparison table
 function updateTable() {
     try {
-        const results = calculateAllScenarios();
         const tbody = document.getElementById('comparisonTableBody');
         
         if (!tbody) {
@@ -404,13 +824,30 @@ function updateTable() {
             return;
         }
         
+        // Invalid inputs hold the results back; the panels below keep their
+        // last values, dimmed, until the inputs are fixed
+        const blocked = findErrors(validateForm(), defaultInputs).length > 0;
+        const resultsSection = document.querySelector('.results-section');
+        if (resultsSection) resultsSection.classList.toggle('results-section--stale', blocked);
+        if (blocked) {
+            scheduleDeferredPanels(true);
+            tbody.innerHTML = '<tr><td colspan="12" style="text-align: center; padding: var(--space-20); color: var(--color-error);">Fix the highlighted inputs to see results</td></tr>';
+            return;
+        }
+        
+        const results = calculateAllScenarios(getInputs());
         if (results.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="9" style="text-align: center; padding: var(--space-20); color: var(--color-error);">Error calculating scenarios</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="12" style="text-align: center; padding: var(--space-20); color: var(--color-error);">Error calculating scenarios</td></tr>';
             return;
         }
         
         tbody.innerHTML = '';
         
+        const interestHeader = document.getElementById('interestCostHeader');
+        if (interestHeader) {
+            interestHeader.textContent = `${getInputs().holdingPeriod}-Year Interest Cost`;
+        }
+        
         // Find best and worst scenarios
         let bestIndex = 0;
         let worstIndex = 0;
@@ -423,9 +860,10 @@ function updateTable() {
             }
         }
         
+        const scenarioList = getScenarioList(getInputs());
         results.forEach((result, index) => {
             const row = document.createElement('tr');
-            row.className = `scenario-row-${index}`;
+            row.className = scenarioRowClass(index);
             
             if (index === bestIndex) {
                 row.classList.add('best-scenario');
@@ -437,7 +875,7 @@ function updateTable() {
                                      result.netVsAllCash < 0 ? 'negative-value' : '';
             
             row.innerHTML = `
-                <td class="scenario-name">${scenarios[index].name}</td>
+                <td class="scenario-name">${escapeHtml(scenarioList[index].name)}</td>
                 <td class="currency-cell">${formatCurrency(result.downPayment)}</td>
                 <td class="currency-cell">${formatCurrency(result.upfrontCost)}</td>
                 <td class="currency-cell">${formatCurrency(result.annualDebtService)}</td>
@@ -446,6 +884,9 @@ function updateTable() {
                 <td class="currency-cell">${formatCurrency(result.homeSaleProceeds)}</td>
                 <td class="currency-cell">${formatCurrency(result.totalNetWorth)}</td>
                 <td class="currency-cell ${netVsAllCashClass}">${formatCurrency(result.netVsAllCash)}</td>
+                <td class="currency-cell">${formatCurrency(result.realNetWorth)}</td>
+                <td class="currency-cell">${formatCurrency(result.npv)}</td>
+                <td class="currency-cell">${formatIrr(result.irr)}</td>
             `;
             
             tbody.appendChild(row);
@@ -454,16 +895,48 @@ function updateTable() {
         // Update opportunity cost breakdown
         updateOpportunityCostBreakdown();
         
+        // Update mortgage amortization breakdown
+        updateAmortizationBreakdown(results);
+        
+        // Update down payment comparison
+        updateDownPaymentComparison();
+        updateBreakEvenSolverOptions();
+        
+        // Update box spread tax breakdown
+        updateBoxSpreadTaxBreakdown(results);
+        
         // Update chart
         updateChart(results);
         
         // Update optimal scenario summary
         updateOptimalSummary(results, bestIndex);
+        
+        // Keep the address bar in step so the page can be shared as-is
+        updateShareableUrl();
+        
+        // Margin risk, refinance, points, sensitivity and heatmap panels follow once typing stops
+        scheduleDeferredPanels();
     } catch (error) {
         console.error('Error updating table:', error);
     }
 }
 
+// Timeline series that can be plotted on the chart
+const timelineMetrics = {
+    netWorth: 'Net Worth',
+    homeEquity: 'Home Equity',
+    portfolioValue: 'Portfolio Value',
+    cumulativeInterest: 'Cumulative Interest',
+    cumulativeOwnershipCosts: 'Cumulative Ownership Costs',
+    cumulativeTaxSavings: 'Cumulative Tax Savings'
+};
+const scenarioColors = ['#1FB8CD', '#FFC185', '#B4413C', '#5D878F', '#D2BA4C', '#964325', '#944454', '#13343B'];
+
+// Row class for a scenario; custom scenarios share one style
+function scenarioRowClass(index) {
+    return index < scenarios.length ? `scenario-row-${index}` : 'scenario-row-custom';
+}
+
 // Update the chart
 function updateChart(results) {
     const ctx = document.getElementById('comparisonChart');
@@ -476,31 +949,48 @@ function updateChart(results) {
         chart.destroy();
     }
     
+    const metricElement = document.getElementById('chartMetric');
+    const metric = metricElement && timelineMetrics[metricElement.value] ? metricElement.value : 'netWorth';
+    const scenarioList = getScenarioList(getInputs());
+    const years = results.length > 0 ? results[0].timeline.map(point => `Year ${point.year}`) : [];
+    
+    const chartTitle = document.getElementById('chartTitle');
+    if (chartTitle) {
+        chartTitle.textContent = `${timelineMetrics[metric]} by Year Over ${years.length}-Year Hold`;
+    }
+    
     const chartData = {
-        labels: scenarios.map(s => s.name),
-        datasets: [{
-            label: 'Total Net Worth After 10 Years',
-            data: results.map(r => r.totalNetWorth),
-            backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5'],
-            borderColor: ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5'],
-            borderWidth: 2
-        }]
+        labels: years,
+        datasets: results.map((result, index) => ({
+            label: scenarioList[index].name,
+            data: result.timeline.map(point => point[metric]),
+            backgroundColor: scenarioColors[index % scenarioColors.length],
+            borderColor: scenarioColors[index % scenarioColors.length],
+            borderWidth: 2,
+            tension: 0.2,
+            fill: false
+        }))
     };
     
     chart = new Chart(ctx, {
-        type: 'bar',
+        type: 'line',
         data: chartData,
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
             plugins: {
                 legend: {
-                    display: false
+                    display: true,
+                    position: 'bottom'
                 },
                 tooltip: {
                     callbacks: {
                         label: function(context) {
-                            return formatCurrency(context.parsed.y);
+                            return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
                         }
                     }
                 }
@@ -519,51 +1009,1367 @@ function updateChart(results) {
     });
 }
 
-// Update optimal scenario summary
-function updateOptimalSummary(results, bestIndex) {
-    const optimalDiv = document.getElementById('optimalScenario');
-    if (!optimalDiv) {
-        console.error('Optimal scenario element not found');
-        return;
-    }
+// Label text for a form input, or its id if it has no label
+function getInputLabel(id) {
+    const label = document.querySelector(`label[for="${id}"]`);
+    return label ? label.textContent.trim() : id;
+}
+
+// Fields the sensitivity panel shifts: every numeric form input that can
+// move net worth, with its label and whether the form shows it as a percentage
+function getSensitivityFields(inputs) {
+    return Object.keys(inputs)
+        .filter(key => typeof inputs[key] === 'number' && !DERIVED_INPUTS.includes(key) && !TIME_VALUE_INPUTS.includes(key))
+        .map(key => ({ key: key, element: document.getElementById(key) }))
+        .filter(field => field.element)
+        .map(field => {
+            return {
+                key: field.key,
+                label: getInputLabel(field.key),
+                scale: field.element.classList.contains('percent-input') ? 0.01 : 1,
+                integer: field.element.getAttribute('step') === '1'
+            };
+        });
+}
+
+// Keep a scenario select's options in step with the scenario list, from
+// firstIndex on, holding the current choice while custom scenarios come and go
+function fillScenarioSelect(select, scenarioList, fallback, firstIndex = 0) {
+    const selected = parseInt(select.value, 10);
+    select.innerHTML = scenarioList.slice(firstIndex).map((scenario, i) =>
+        `<option value="${i + firstIndex}">${escapeHtml(scenario.name)}</option>`).join('');
+    select.value = String(selected >= firstIndex && selected < scenarioList.length ? selected : fallback);
+}
+
+// Refresh the break-even solver's input and scenario choices
+function updateBreakEvenSolverOptions() {
+    const inputSelect = document.getElementById('solverInput');
+    const scenarioA = document.getElementById('solverScenarioA');
+    const scenarioB = document.getElementById('solverScenarioB');
+    if (!inputSelect || !scenarioA || !scenarioB) return;
     
-    const bestResult = results[bestIndex];
-    const bestScenario = scenarios[bestIndex];
+    const inputs = getInputs();
+    if (inputSelect.options.length === 0) {
+        inputSelect.innerHTML = getSensitivityFields(inputs).map(field =>
+            `<option value="${field.key}">${escapeHtml(field.label)}</option>`).join('');
+        inputSelect.value = 'mortgageRate';
+    }
     
-    optimalDiv.innerHTML = `
-        <div class="optimal-scenario-name">${bestScenario.name}</div>
-        <div class="optimal-details">${bestScenario.description}</div>
-        <div style="margin-top: var(--space-12);">
-            <strong>Total Net Worth:</strong> <span class="optimal-value">${formatCurrency(bestResult.totalNetWorth)}</span>
-        </div>
-        <div style="margin-top: var(--space-8);">
-            <strong>Advantage over All-Cash:</strong> <span class="optimal-value ${bestResult.netVsAllCash > 0 ? 'positive-value' : ''}">${formatCurrency(bestResult.netVsAllCash)}</span>
-        </div>
-    `;
+    const scenarioList = getScenarioList(inputs);
+    fillScenarioSelect(scenarioA, scenarioList, 0);
+    fillScenarioSelect(scenarioB, scenarioList, 1);
 }
 
-// Reset to default values - FIXED VERSION
-function resetToDefaults() {
+// Run the break-even solver for the chosen input and pair of scenarios
+function updateBreakEvenSolver() {
+    const resultDiv = document.getElementById('solverResult');
+    if (!resultDiv) return;
+    if (findErrors(validateForm(), defaultInputs).length > 0) {
+        resultDiv.innerHTML = '<p class="negative-value">Fix the highlighted inputs to solve for a break-even.</p>';
+        return;
+    }
+    
     try {
-        console.log('Resetting to defaults...');
+        const inputs = getInputs();
+        const field = getSensitivityFields(inputs).find(f => f.key === parseInputText('solverInput'));
+        const scenarioA = parseInt(parseInputText('solverScenarioA'), 10);
+        const scenarioB = parseInt(parseInputText('solverScenarioB'), 10);
+        if (!field) {
+            resultDiv.innerHTML = '<p class="negative-value">Choose an input to solve for.</p>';
+            return;
+        }
+        if (scenarioA === scenarioB) {
+            resultDiv.innerHTML = '<p class="negative-value">Choose two different scenarios.</p>';
+            return;
+        }
         
-        // Set each input value individually and trigger events
-        const inputElements = [
-            { id: 'homePrice', value: defaultInputs.homePrice },
-            { id: 'closingCosts', value: defaultInputs.closingCosts },
-            { id: 'propertyTax', value: defaultInputs.propertyTax },
-            { id: 'insurance', value: defaultInputs.insurance },
-            { id: 'maintenance', value: defaultInputs.maintenance },
-            { id: 'appreciation', value: defaultInputs.appreciation },
-            { id: 'holdingPeriod', value: defaultInputs.holdingPeriod },
-            { id: 'mortgageRate', value: defaultInputs.mortgageRate },
-            { id: 'deductionLimit', value: defaultInputs.deductionLimit },
+        // The range is entered in form units, defaulting to the input's own limits
+        const element = document.getElementById(field.key);
+        const minText = parseInputText('solverMin');
+        const maxText = parseInputText('solverMax');
+        const min = minText !== '' ? parseFloat(minText) : parseFloat(element.getAttribute('min'));
+        const max = maxText !== '' ? parseFloat(maxText) : parseFloat(element.getAttribute('max'));
+        const current = inputs[field.key] / field.scale;
+        const low = (isNaN(min) ? 0 : min) * field.scale;
+        const high = (isNaN(max) ? Math.max(current * 2, 1) : max) * field.scale;
+        if (!(high > low)) {
+            resultDiv.innerHTML = '<p class="negative-value">The range maximum must be above its minimum.</p>';
+            return;
+        }
+        
+        const scenarioList = getScenarioList(inputs);
+        const nameA = escapeHtml(scenarioList[scenarioA].name);
+        const nameB = escapeHtml(scenarioList[scenarioB].name);
+        const label = escapeHtml(field.label);
+        const formatValue = value => Number((value / field.scale).toPrecision(6)).toLocaleString('en-US');
+        const solution = solveBreakEven(inputs, field, scenarioA, scenarioB, low, high);
+        const describeGap = (value, gap) => `At ${formatValue(value)}, ${gap >= 0 ? nameA : nameB} leads by ${formatCurrency(Math.abs(gap))}.`;
+        
+        if (!solution.found) {
+            const [leader, trailer] = solution.lowGap >= 0 ? [nameA, nameB] : [nameB, nameA];
+            resultDiv.innerHTML = `
+                <p><strong>No break-even in range:</strong> ${leader} stays ahead of ${trailer} for every ${label} from ${formatValue(low)} to ${formatValue(high)}.</p>
+                <p>${describeGap(low, solution.lowGap)} ${describeGap(high, solution.highGap)}</p>
+            `;
+            return;
+        }
+        
+        resultDiv.innerHTML = `
+            <p><strong>Break-even ${label}: ${formatValue(solution.value)}</strong> (currently ${formatValue(inputs[field.key])})</p>
+            <p>${describeGap(low, solution.lowGap)} ${describeGap(high, solution.highGap)}</p>
+        `;
+    } catch (error) {
+        console.error('Error solving break-even:', error);
+        resultDiv.innerHTML = '<p class="negative-value">Could not solve for a break-even.</p>';
+    }
+}
+
+// Evenly spaced values from low to high, rounded for whole-number inputs
+function buildGridValues(low, high, count, integer) {
+    const values = Array.from({ length: count }, (_, i) => count > 1 ? low + (high - low) * i / (count - 1) : low);
+    return integer ? Array.from(new Set(values.map(Math.round))) : values;
+}
+
+// Convert a #RRGGBB color to rgba with the given opacity
+function colorWithAlpha(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Axis range for a heatmap input in stored units: the entered limits in form
+// units, or half to one and a half times the current value
+function getHeatmapRange(field, inputs, minId, maxId) {
+    const current = inputs[field.key];
+    const minText = parseInputText(minId);
+    const maxText = parseInputText(maxId);
+    const low = minText !== '' ? parseFloat(minText) * field.scale : (current !== 0 ? current * 0.5 : 0);
+    const high = maxText !== '' ? parseFloat(maxText) * field.scale : (current !== 0 ? current * 1.5 : field.scale);
+    return [Math.min(low, high), Math.max(low, high)];
+}
+
+// Update the optimal scenario heatmap
+function updateScenarioHeatmap() {
+    const heatmapDiv = document.getElementById('scenarioHeatmap');
+    const xSelect = document.getElementById('heatmapX');
+    const ySelect = document.getElementById('heatmapY');
+    if (!heatmapDiv || !xSelect || !ySelect) return;
+    
+    const inputs = getInputs();
+    const fields = getSensitivityFields(inputs);
+    if (xSelect.options.length === 0) {
+        const options = fields.map(field => `<option value="${field.key}">${escapeHtml(field.label)}</option>`).join('');
+        xSelect.innerHTML = options;
+        ySelect.innerHTML = options;
+        xSelect.value = 'mortgageRate';
+        ySelect.value = 'investReturn';
+    }
+    
+    const xField = fields.find(field => field.key === xSelect.value);
+    const yField = fields.find(field => field.key === ySelect.value);
+    if (!xField || !yField || xField.key === yField.key) {
+        heatmapDiv.innerHTML = '<p class="negative-value">Choose two different inputs.</p>';
+        return;
+    }
+    
+    const gridSize = Math.min(Math.max(Math.round(parseInputValue('heatmapSize')) || 11, 2), 25);
+    const [xLow, xHigh] = getHeatmapRange(xField, inputs, 'heatmapXMin', 'heatmapXMax');
+    const [yLow, yHigh] = getHeatmapRange(yField, inputs, 'heatmapYMin', 'heatmapYMax');
+    const xValues = buildGridValues(xLow, xHigh, gridSize, xField.integer);
+    // Highest values at the top, as on a chart's y-axis
+    const yValues = buildGridValues(yLow, yHigh, gridSize, yField.integer).reverse();
+    const grid = buildScenarioHeatmap(inputs, xField.key, xValues, yField.key, yValues);
+    
+    const scenarioList = getScenarioList(inputs);
+    const maxMargin = Math.max(...grid.flat().map(cell => cell.margin), 1);
+    const formatValue = (field, value) => Number((value / field.scale).toPrecision(4)).toLocaleString('en-US');
+    const winners = Array.from(new Set(grid.flat().map(cell => cell.winner))).sort((a, b) => a - b);
+    
+    const rows = grid.map((row, rowIndex) => `
+                <tr>
+                    <th>${formatValue(yField, yValues[rowIndex])}</th>
+                    ${row.map(cell => {
+                        const title = `${scenarioList[cell.winner].name} leads ${cell.runnerUp !== null ? scenarioList[cell.runnerUp].name : ''} by ${formatCurrency(cell.margin)}`;
+                        // Pale cells are close calls; solid cells are robust wins
+                        const alpha = 0.15 + 0.85 * cell.margin / maxMargin;
+                        return `<td style="background: ${colorWithAlpha(scenarioColors[cell.winner % scenarioColors.length], alpha.toFixed(2))}" title="${escapeHtml(title)}">${formatCurrency(cell.margin / 1000)}K</td>`;
+                    }).join('')}
+                </tr>`).join('');
+    
+    heatmapDiv.innerHTML = `
+        <div class="heatmap-legend">
+            ${winners.map(index => `<span class="heatmap-legend-item"><span class="heatmap-swatch" style="background: ${scenarioColors[index % scenarioColors.length]}"></span>${escapeHtml(scenarioList[index].name)}</span>`).join('')}
+        </div>
+        <p class="optimal-details">Each cell shows the winning scenario's lead over the runner-up; paler cells are closer calls. Rows are ${escapeHtml(yField.label)}, columns are ${escapeHtml(xField.label)}.</p>
+        <div class="heatmap-scroll">
+            <table class="heatmap-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${xValues.map(x => `<th>${formatValue(xField, x)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Number of inputs shown in the tornado chart
+const SENSITIVITY_CHART_ROWS = 15;
+
+// Update the sensitivity tornado chart
+function updateSensitivityAnalysis() {
+    const ctx = document.getElementById('sensitivityChart');
+    const scenarioSelect = document.getElementById('sensitivityScenario');
+    if (!ctx || !scenarioSelect) return;
+    
+    const inputs = getInputs();
+    const scenarioList = getScenarioList(inputs);
+    
+    // All-Cash is the baseline, so it is not offered
+    fillScenarioSelect(scenarioSelect, scenarioList, 1, 1);
+    const scenarioIndex = parseInt(scenarioSelect.value, 10) || 1;
+    
+    const shift = {
+        mode: parseInputText('sensitivityMode') === 'absolute' ? 'absolute' : 'relative',
+        amount: Math.abs(parseInputValue('sensitivityAmount')) || 10
+    };
+    const analysis = runSensitivityAnalysis(inputs, getSensitivityFields(inputs), shift, scenarioIndex);
+    const rows = analysis.rows.slice(0, SENSITIVITY_CHART_ROWS);
+    const describeShift = shift.mode === 'absolute' ? `±${shift.amount} Percentage Points` : `±${shift.amount}%`;
+    
+    const title = document.getElementById('sensitivityTitle');
+    if (title) {
+        title.textContent = `Change in ${scenarioList[scenarioIndex].name} Net vs All-Cash, Inputs Shifted ${describeShift}`;
+    }
+    
+    // Floating bars from zero, drawn over each other on the same row
+    const chartData = {
+        labels: rows.map(row => row.label),
+        datasets: [
+            { label: 'Input Lowered', key: 'lowChanges', color: scenarioColors[2] },
+            { label: 'Input Raised', key: 'highChanges', color: scenarioColors[0] }
+        ].map(series => ({
+            label: series.label,
+            data: rows.map(row => [0, row[series.key][scenarioIndex]]),
+            backgroundColor: series.color,
+            borderColor: series.color,
+            grouped: false
+        }))
+    };
+    
+    const container = ctx.parentElement;
+    if (container) container.style.height = `${Math.max(200, rows.length * 28 + 80)}px`;
+    
+    if (sensitivityChart) {
+        sensitivityChart.destroy();
+    }
+    
+    sensitivityChart = new Chart(ctx, {
+        type: 'bar',
+        data: chartData,
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const row = rows[context.dataIndex];
+                            const value = context.datasetIndex === 0 ? row.lowValue : row.highValue;
+                            return `${context.dataset.label} to ${Number(value.toPrecision(6))}: ${formatCurrency(context.raw[1])}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Update optimal scenario summary
+function updateOptimalSummary(results, bestIndex) {
+    const optimalDiv = document.getElementById('optimalScenario');
+    if (!optimalDiv) {
+        console.error('Optimal scenario element not found');
+        return;
+    }
+    
+    const bestResult = results[bestIndex];
+    const bestScenario = getScenarioList(getInputs())[bestIndex];
+    
+    optimalDiv.innerHTML = `
+        <div class="optimal-scenario-name">${escapeHtml(bestScenario.name)}</div>
+        <div class="optimal-details">${escapeHtml(bestScenario.description)}</div>
+        <div style="margin-top: var(--space-12);">
+            <strong>Total Net Worth:</strong> <span class="optimal-value">${formatCurrency(bestResult.totalNetWorth)}</span>
+        </div>
+        <div style="margin-top: var(--space-8);">
+            <strong>Advantage over All-Cash:</strong> <span class="optimal-value ${bestResult.netVsAllCash > 0 ? 'positive-value' : ''}">${formatCurrency(bestResult.netVsAllCash)}</span>
+        </div>
+    `;
+}
+
+// Saved cases live in localStorage under this key; exported files carry the
+// format name and version so older files can still be read
+const SAVED_CASES_KEY = 'homeFinancingCalculator.savedCases';
+const SAVED_CASES_FORMAT = 'home-financing-calculator-cases';
+const SAVED_CASES_VERSION = 1;
+
+// Every saved form field with its default, in form units
+function getFormDefaults() {
+    return { ...defaultInputs, ...defaultSimulationSettings };
+}
+
+// Read the current form values for every saved field
+function readFormValues() {
+    const values = {};
+    Object.keys(getFormDefaults()).forEach(id => {
+        const element = document.getElementById(id);
+        if (element) values[id] = element.value;
+    });
+    return values;
+}
+
+// Put form values back, using the default for any field missing from
+// `values`, then recalculate
+function applyFormValues(values) {
+    const defaults = getFormDefaults();
+    Object.keys(defaults).forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.value = values[id] !== undefined ? values[id] : defaults[id];
+    });
+    updateCalculatedFields();
+    updateTable();
+}
+
+// Saved cases from localStorage, or an empty list if none are stored or
+// storage is unavailable
+function loadSavedCases() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SAVED_CASES_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.error('Error reading saved cases:', error);
+        return [];
+    }
+}
+
+function storeSavedCases(cases) {
+    localStorage.setItem(SAVED_CASES_KEY, JSON.stringify(cases));
+}
+
+function showSavedCaseMessage(message) {
+    const messageElement = document.getElementById('savedCaseMessage');
+    if (messageElement) messageElement.textContent = message;
+}
+
+// Save the current inputs and custom scenarios under a name, replacing any
+// case with the same name
+function saveCurrentCase() {
+    const nameElement = document.getElementById('savedCaseName');
+    const name = nameElement ? nameElement.value.trim() : '';
+    if (!name) {
+        showSavedCaseMessage('Enter a name for the case.');
+        return;
+    }
+    
+    try {
+        const cases = loadSavedCases().filter(c => c.name !== name);
+        cases.push({
+            name: name,
+            savedAt: new Date().toISOString(),
+            inputs: readFormValues(),
+            customScenarios: customScenarios.slice()
+        });
+        cases.sort((a, b) => a.name.localeCompare(b.name));
+        storeSavedCases(cases);
+        showSavedCaseMessage('');
+        updateSavedCaseList();
+    } catch (error) {
+        console.error('Error saving case:', error);
+        showSavedCaseMessage('The case could not be saved; browser storage may be full or disabled.');
+    }
+}
+
+// Load a saved case into the form
+function loadSavedCase(name) {
+    const savedCase = loadSavedCases().find(c => c.name === name);
+    if (!savedCase) return;
+    
+    // Browser storage can be edited by hand, so check the scenarios again
+    customScenarios = filterValidCustomScenarios(savedCase.customScenarios);
+    const skipped = Array.isArray(savedCase.customScenarios) ? savedCase.customScenarios.length - customScenarios.length : 0;
+    updateCustomScenarioList();
+    applyFormValues(savedCase.inputs || {});
+    
+    const nameElement = document.getElementById('savedCaseName');
+    if (nameElement) nameElement.value = savedCase.name;
+    showSavedCaseMessage(`Loaded "${savedCase.name}".` +
+        (skipped > 0 ? ` Skipped ${skipped} invalid custom ${skipped === 1 ? 'scenario' : 'scenarios'}.` : ''));
+}
+
+function deleteSavedCase(name) {
+    storeSavedCases(loadSavedCases().filter(c => c.name !== name));
+    updateSavedCaseList();
+}
+
+// Update the list of saved cases
+function updateSavedCaseList() {
+    const listDiv = document.getElementById('savedCaseList');
+    if (!listDiv) return;
+    
+    const cases = loadSavedCases();
+    if (cases.length === 0) {
+        listDiv.innerHTML = '<p class="optimal-details">No saved cases yet.</p>';
+        return;
+    }
+    
+    listDiv.innerHTML = cases.map((savedCase, index) => `
+        <div class="custom-scenario-item">
+            <div>
+                <div class="scenario-name">${escapeHtml(savedCase.name)}</div>
+                <div class="optimal-details">${savedCase.savedAt ? `Saved ${escapeHtml(new Date(savedCase.savedAt).toLocaleString())}` : ''}</div>
+            </div>
+            <div class="saved-case-actions">
+                <button type="button" class="btn btn--outline btn--sm" data-load-case="${index}">Load</button>
+                <button type="button" class="btn btn--outline btn--sm" data-delete-case="${index}">Delete</button>
+            </div>
+        </div>
+    `).join('');
+    
+    listDiv.querySelectorAll('[data-load-case]').forEach(button => {
+        button.addEventListener('click', function() {
+            loadSavedCase(cases[parseInt(button.dataset.loadCase, 10)].name);
+        });
+    });
+    listDiv.querySelectorAll('[data-delete-case]').forEach(button => {
+        button.addEventListener('click', function() {
+            deleteSavedCase(cases[parseInt(button.dataset.deleteCase, 10)].name);
+        });
+    });
+}
+
+// Start a browser download of text or binary content
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Export every saved case as a versioned JSON file
+function exportSavedCases() {
+    const cases = loadSavedCases();
+    if (cases.length === 0) {
+        showSavedCaseMessage('There are no saved cases to export.');
+        return;
+    }
+    
+    const file = {
+        format: SAVED_CASES_FORMAT,
+        version: SAVED_CASES_VERSION,
+        exportedAt: new Date().toISOString(),
+        cases: cases
+    };
+    downloadFile('home-financing-cases.json', JSON.stringify(file, null, 2), 'application/json');
+}
+
+// Parse an exported cases file. Fields this version does not know are
+// ignored, and fields missing from older files fall back to defaults on load.
+function parseSavedCasesFile(text) {
+    const file = JSON.parse(text);
+    if (!file || file.format !== SAVED_CASES_FORMAT || !Array.isArray(file.cases)) {
+        throw new Error('Not a saved cases file');
+    }
+    if (file.version > SAVED_CASES_VERSION) {
+        throw new Error(`Saved cases file version ${file.version} is newer than this calculator supports`);
+    }
+    
+    // Invalid custom scenarios are dropped and counted rather than failing the import
+    const knownFields = getFormDefaults();
+    let skippedScenarios = 0;
+    const cases = file.cases
+        .filter(c => c && typeof c.name === 'string' && c.name.trim() && c.inputs && typeof c.inputs === 'object')
+        .map(c => {
+            const scenarios = filterValidCustomScenarios(c.customScenarios);
+            if (Array.isArray(c.customScenarios)) skippedScenarios += c.customScenarios.length - scenarios.length;
+            return {
+                name: c.name.trim(),
+                savedAt: c.savedAt,
+                inputs: Object.fromEntries(Object.entries(c.inputs).filter(([id]) => id in knownFields)),
+                customScenarios: scenarios
+            };
+        });
+    return { cases: cases, skippedScenarios: skippedScenarios };
+}
+
+// Import cases from a file, replacing saved cases with the same name
+function importSavedCases(file) {
+    const reader = new FileReader();
+    reader.onload = function() {
+        try {
+            const { cases: imported, skippedScenarios } = parseSavedCasesFile(reader.result);
+            const names = new Set(imported.map(c => c.name));
+            const cases = loadSavedCases().filter(c => !names.has(c.name)).concat(imported);
+            cases.sort((a, b) => a.name.localeCompare(b.name));
+            storeSavedCases(cases);
+            updateSavedCaseList();
+            showSavedCaseMessage(`Imported ${imported.length} ${imported.length === 1 ? 'case' : 'cases'}.` +
+                (skippedScenarios > 0 ? ` Skipped ${skippedScenarios} invalid custom ${skippedScenarios === 1 ? 'scenario' : 'scenarios'}.` : ''));
+        } catch (error) {
+            console.error('Error importing saved cases:', error);
+            showSavedCaseMessage(`Could not import the file: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// URL parameter holding custom scenario definitions as JSON
+const URL_SCENARIOS_PARAM = 'scenarios';
+
+// Encode the form as URL parameters, leaving out fields at their defaults
+function buildShareableParams() {
+    const defaults = getFormDefaults();
+    const values = readFormValues();
+    const params = new URLSearchParams();
+    Object.keys(values).forEach(id => {
+        const value = String(values[id]).trim();
+        const isDefault = value === String(defaults[id]) ||
+            (typeof defaults[id] === 'number' && value !== '' && parseFloat(value) === defaults[id]);
+        if (!isDefault) params.set(id, value);
+    });
+    if (customScenarios.length > 0) {
+        params.set(URL_SCENARIOS_PARAM, JSON.stringify(customScenarios));
+    }
+    return params;
+}
+
+// Replace the URL hash with the current inputs without adding history entries
+function updateShareableUrl() {
+    const hash = buildShareableParams().toString();
+    const url = `${location.pathname}${location.search}${hash ? `#${hash}` : ''}`;
+    history.replaceState(null, '', url);
+}
+
+// Restore inputs from the URL hash (or query string) on page load. Fields not
+// in the URL keep their defaults and unrecognized parameters are ignored, so
+// links stay valid as inputs are added or removed.
+function restoreUrlState() {
+    const text = location.hash.length > 1 ? location.hash.slice(1) : location.search.slice(1);
+    if (!text) return;
+    
+    const params = new URLSearchParams(text);
+    const defaults = getFormDefaults();
+    Object.keys(defaults).forEach(id => {
+        const element = document.getElementById(id);
+        if (element && params.has(id)) element.value = params.get(id);
+    });
+    
+    if (params.has(URL_SCENARIOS_PARAM)) {
+        try {
+            const definitions = JSON.parse(params.get(URL_SCENARIOS_PARAM));
+            customScenarios = filterValidCustomScenarios(definitions);
+            if (Array.isArray(definitions) && customScenarios.length < definitions.length) {
+                console.error(`Ignored ${definitions.length - customScenarios.length} invalid custom scenario(s) in the URL`);
+            }
+        } catch (error) {
+            console.error('Error reading custom scenarios from the URL:', error);
+        }
+    }
+}
+
+// Copy a link to the current inputs to the clipboard
+function copyShareableLink() {
+    updateShareableUrl();
+    const button = document.getElementById('shareLinkBtn');
+    const showCopied = text => {
+        if (!button) return;
+        button.textContent = text;
+        setTimeout(() => { button.textContent = 'Copy Link'; }, 1500);
+    };
+    
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(location.href)
+            .then(() => showCopied('Copied!'))
+            .catch(() => showCopied('Copy failed'));
+    } else {
+        showCopied('Copy failed');
+    }
+}
+
+// Tables for export, holding raw numbers rather than formatted strings:
+// the comparison results, every input and each scenario's year-by-year detail
+function buildExportTables(inputs, results) {
+    const scenarioList = getScenarioList(inputs);
+    
+    const resultRows = [[
+        'Scenario', 'Down Payment', 'Upfront Cost', 'Annual Debt Service', `${inputs.holdingPeriod}-Year Interest Cost`,
+        'Portfolio Growth', 'After-Tax Sale Proceeds', 'Total Net Worth', 'Net vs All-Cash',
+        "Net Worth (Today's $)", "Net vs All-Cash (Today's $)", 'NPV', 'IRR'
+    ]].concat(results.map((result, index) => [
+        scenarioList[index].name, result.downPayment, result.upfrontCost, result.annualDebtService, result.totalInterestCost,
+        result.portfolioGrowth, result.homeSaleProceeds, result.totalNetWorth, result.netVsAllCash,
+        result.realNetWorth, result.realNetVsAllCash, result.npv, result.irr === null ? '' : result.irr
+    ]));
+    
+    const inputRows = [['Input', 'Label', 'Value']];
+    Object.keys(inputs).forEach(key => {
+        const value = inputs[key];
+        if (key === 'customScenarios') {
+            value.forEach(definition => inputRows.push([key, definition.name, describeCustomScenario(definition)]));
+        } else if (Array.isArray(value)) {
+            value.forEach((item, i) => inputRows.push([key, `Year ${i + 1}`, item]));
+        } else {
+            inputRows.push([key, getInputLabel(key), value]);
+        }
+    });
+    
+    const yearRows = [[
+        'Scenario', 'Year', 'Home Equity', 'Portfolio Value', 'Cumulative Interest', 'Cumulative Ownership Costs',
+        'Cumulative Tax Savings', 'Net Worth', 'Mortgage Rate', 'Mortgage Interest', 'Mortgage Principal', 'Mortgage Balance'
+    ]];
+    results.forEach((result, index) => {
+        result.timeline.forEach((point, i) => {
+            const mortgageYear = result.amortization && result.amortization.principal > 0 ? result.amortization.years[i] : null;
+            yearRows.push([
+                scenarioList[index].name, point.year, point.homeEquity, point.portfolioValue, point.cumulativeInterest,
+                point.cumulativeOwnershipCosts, point.cumulativeTaxSavings, point.netWorth,
+                mortgageYear ? mortgageYear.rate : '',
+                mortgageYear ? mortgageYear.interestPaid : '',
+                mortgageYear ? mortgageYear.principalPaid : '',
+                mortgageYear ? mortgageYear.endingBalance : ''
+            ]);
+        });
+    });
+    
+    const cashFlowRows = [[
+        'Scenario', 'Year', 'Upfront Cost', 'Debt Service', 'Ownership Costs', 'Tax Savings',
+        'Sale Proceeds', 'Loan Payoff', 'Portfolio Growth', 'Net Cash Flow'
+    ]];
+    results.forEach((result, index) => {
+        result.cashFlows.forEach(flow => {
+            cashFlowRows.push([
+                scenarioList[index].name, flow.year, flow.upfrontCost, flow.debtService, flow.ownershipCosts, flow.taxSavings,
+                flow.saleProceeds, flow.loanPayoff, flow.portfolioGrowth, flow.net
+            ]);
+        });
+    });
+    
+    return [
+        { name: 'Results', rows: resultRows },
+        { name: 'Inputs', rows: inputRows },
+        { name: 'Per-Year', rows: yearRows },
+        { name: 'Cash Flows', rows: cashFlowRows }
+    ];
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV file with each table under its own heading, separated by blank lines
+function buildCsv(tables) {
+    return tables.map(table => [[table.name]].concat(table.rows)
+        .map(row => row.map(csvField).join(','))
+        .join('\r\n'))
+        .join('\r\n\r\n') + '\r\n';
+}
+
+// CRC-32 lookup table for the zip container
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Build an uncompressed zip archive from {name, content} text files
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => ({ name: encoder.encode(file.name), data: encoder.encode(file.content) }));
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    
+    let offset = 0;
+    let centralOffset = localSize;
+    entries.forEach(entry => {
+        const crc = crc32(entry.data);
+        // Local file header: version 2.0, UTF-8 names, stored, fixed 1980-01-01 timestamp
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 0x0800, true);
+        view.setUint16(offset + 12, 0x0021, true);
+        view.setUint32(offset + 14, crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        bytes.set(entry.name, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.name.length);
+        
+        // Central directory record pointing back at the local header
+        view.setUint32(centralOffset, 0x02014B50, true);
+        view.setUint16(centralOffset + 4, 20, true);
+        view.setUint16(centralOffset + 6, 20, true);
+        view.setUint16(centralOffset + 8, 0x0800, true);
+        view.setUint16(centralOffset + 14, 0x0021, true);
+        view.setUint32(centralOffset + 16, crc, true);
+        view.setUint32(centralOffset + 20, entry.data.length, true);
+        view.setUint32(centralOffset + 24, entry.data.length, true);
+        view.setUint16(centralOffset + 28, entry.name.length, true);
+        view.setUint32(centralOffset + 42, offset, true);
+        bytes.set(entry.name, centralOffset + 46);
+        
+        offset += 30 + entry.name.length + entry.data.length;
+        centralOffset += 46 + entry.name.length;
+    });
+    
+    // End of central directory
+    view.setUint32(centralOffset, 0x06054B50, true);
+    view.setUint16(centralOffset + 8, entries.length, true);
+    view.setUint16(centralOffset + 10, entries.length, true);
+    view.setUint32(centralOffset + 12, centralSize, true);
+    view.setUint32(centralOffset + 16, localSize, true);
+    return bytes;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters for a zero-based index: A, B, ..., Z, AA, ...
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+// Build an .xlsx workbook with one worksheet per table. Numbers are written
+// as numeric cells and everything else as inline strings.
+function buildXlsx(tables) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const packageRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    
+    const sheetXml = table => {
+        const rows = table.rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            if (value === '' || value === null || value === undefined) return '';
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+        }).join('')}</row>`).join('');
+        return `${xmlHeader}<worksheet xmlns="${mainNs}"><sheetData>${rows}</sheetData></worksheet>`;
+    };
+    
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                tables.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: `${xmlHeader}<Relationships xmlns="${packageRelNs}">` +
+                `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${xmlHeader}<workbook xmlns="${mainNs}" xmlns:r="${relNs}"><sheets>` +
+                tables.map((table, i) => `<sheet name="${escapeXml(table.name.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${xmlHeader}<Relationships xmlns="${packageRelNs}">` +
+                tables.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${relNs}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                '</Relationships>'
+        }
+    ].concat(tables.map((table, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(table) })));
+    
+    return buildZip(files);
+}
+
+// Export the current results as CSV or .xlsx
+function exportResults(format) {
+    if (findErrors(validateForm(), defaultInputs).length > 0) return;
+    
+    try {
+        const inputs = getInputs();
+        const tables = buildExportTables(inputs, calculateAllScenarios(inputs));
+        if (format === 'xlsx') {
+            downloadFile('home-financing-comparison.xlsx', buildXlsx(tables), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        } else {
+            downloadFile('home-financing-comparison.csv', buildCsv(tables), 'text/csv');
+        }
+    } catch (error) {
+        console.error('Error exporting results:', error);
+    }
+}
+
+// Methodology and assumptions appendix for the client report
+const REPORT_METHODOLOGY = [
+    'Net worth. Each scenario is scored at the end of the holding period as portfolio growth on cash not used for the purchase, plus after-tax home sale proceeds, less interest, PMI and other financing costs, less property tax, insurance and maintenance, plus tax savings. Loan principal is treated as offset by the cash it frees up, so only financing costs reduce net worth.',
+    'Mortgages. Payments follow the standard amortization formula (the same as Excel PMT), computed monthly. Adjustable-rate loans keep their initial rate for the fixed period, then reset each year to SOFR plus the margin, limited by the initial, periodic and lifetime caps, and re-amortize over the remaining term. Private mortgage insurance applies above 80% loan-to-value and stops once the scheduled balance reaches 78% of the purchase price.',
+    'Mortgage interest deduction. Interest is deductible at the ordinary tax rate on the share of the average balance up to the deduction limit, following IRS Publication 936. Discount points on a purchase loan are deductible in the year paid. Cash taken out in a refinance is not acquisition debt, so its interest is not deducted.',
+    'Floating-rate borrowing. Box spread and securities loan rates are SOFR plus a spread, repriced each year from the selected SOFR path. Box spread losses are Section 1256 contracts, split 60% long-term and 40% short-term, offsetting capital gains first and then up to $3,000 of ordinary income, with any excess carried forward.',
+    'Securities loan. Pledged securities forgo the blended alternative return, which is counted as an opportunity cost. Margin calls are tested against a stress drawdown: when the loan exceeds the maintenance loan-to-value, the shortfall is either topped up with cash or covered by selling pledged securities, realizing capital gains tax on the sold basis.',
+    'Home sale. The home grows at the appreciation rate. Selling costs are deducted, and the gain over the purchase price, eligible closing costs and improvements is taxed at the capital gains rate after the Section 121 exclusion, available when the home is held for at least two years.',
+    'Time value. Each scenario is also laid out as dated cash flows: the upfront cost at purchase; then, every year, debt service including principal, ownership costs and tax savings; and at the sale the after-tax proceeds less the debt still owed, plus portfolio growth. NPV and IRR are computed from these flows, and net worth in today\'s dollars deflates the flows of each year at the inflation rate.',
+    'Limitations. Results are deterministic projections from the inputs shown, not forecasts. Returns, rates and home prices will differ from these assumptions, tax rules can change, and state taxes, transaction timing and individual circumstances are simplified. This report is for discussion and is not tax, legal or investment advice.'
+];
+
+// Display value of a form field, using the option text for selects
+function describeFormValue(id, value) {
+    const element = document.getElementById(id);
+    if (element && element.tagName === 'SELECT') {
+        const option = Array.from(element.options).find(o => o.value === value);
+        if (option) return option.textContent.trim();
+    }
+    return value === '' ? '—' : String(value);
+}
+
+// Assemble the client report as plain data, rendered both to the print view
+// and to PDF. Tables are arrays of rows whose first row is the header.
+function buildClientReport(inputs, results) {
+    const scenarioList = getScenarioList(inputs);
+    
+    // Inputs, two label/value pairs per row
+    const formValues = readFormValues();
+    const inputPairs = Object.keys(defaultInputs)
+        .filter(id => id in formValues)
+        .map(id => [getInputLabel(id), describeFormValue(id, formValues[id])]);
+    const inputRows = [['Input', 'Value', 'Input', 'Value']];
+    for (let i = 0; i < inputPairs.length; i += 2) {
+        inputRows.push(inputPairs[i].concat(inputPairs[i + 1] || ['', '']));
+    }
+    
+    const comparisonRows = [[
+        'Scenario', 'Down Payment', 'Upfront Cost', 'Annual Debt Service', `${inputs.holdingPeriod}-Year Interest Cost`,
+        'Portfolio Growth', 'After-Tax Sale Proceeds', 'Total Net Worth', 'Net vs All-Cash'
+    ]].concat(results.map((result, index) => [
+        scenarioList[index].name,
+        formatCurrency(result.downPayment),
+        formatCurrency(result.upfrontCost),
+        formatCurrency(result.annualDebtService),
+        formatCurrency(result.totalInterestCost),
+        formatCurrency(result.portfolioGrowth),
+        formatCurrency(result.homeSaleProceeds),
+        formatCurrency(result.totalNetWorth),
+        formatCurrency(result.netVsAllCash)
+    ]));
+    
+    const timeValueRows = [[
+        'Scenario', 'Total Net Worth', "Net Worth (Today's $)", "Net vs All-Cash (Today's $)",
+        `NPV at ${formatPercent(inputs.discountRate * 100)}`, 'IRR'
+    ]].concat(results.map((result, index) => [
+        scenarioList[index].name,
+        formatCurrency(result.totalNetWorth),
+        formatCurrency(result.realNetWorth),
+        formatCurrency(result.realNetVsAllCash),
+        formatCurrency(result.npv),
+        formatIrr(result.irr)
+    ]));
+    
+    const securities = calculateSecuritiesLoan(inputs);
+    const apparentCost = securities.interestByYear.reduce((sum, interest) => sum + interest, 0);
+    const securitiesRows = [
+        ['Cost', 'Over the Hold', 'Per Year'],
+        ['Securities Loan Interest', formatCurrency(apparentCost), formatCurrency(securities.annualInterest)],
+        ['Opportunity Cost', formatCurrency(securities.annualOpportunityCost * inputs.holdingPeriod), formatCurrency(securities.annualOpportunityCost)],
+        ['Total True Cost', formatCurrency(securities.totalInterestCost), formatCurrency(securities.totalAnnualCost)],
+        ['Pledged Securities Required', formatCurrency(securities.pledgedSecurities), `At ${formatPercent(inputs.securitiesLtv * 100)} LTV`]
+    ];
+    
+    let bestIndex = 0;
+    results.forEach((result, index) => {
+        if (result.totalNetWorth > results[bestIndex].totalNetWorth) bestIndex = index;
+    });
+    
+    // Unusual inputs are listed with the results they affect
+    const warnings = validateInputs(formValues).filter(issue => issue.severity === 'warning');
+    const warningSections = warnings.length > 0 ? [{
+        heading: 'Input Warnings',
+        blocks: warnings.map(issue => ({ type: 'paragraph', text: describeIssue(issue) }))
+    }] : [];
+    
+    return {
+        title: 'Home Financing Comparison',
+        subtitle: `Prepared ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
+        sections: [
+            {
+                heading: 'Optimal Scenario',
+                blocks: [
+                    { type: 'paragraph', text: `${scenarioList[bestIndex].name}: ${scenarioList[bestIndex].description}.` },
+                    { type: 'paragraph', text: `Total net worth ${formatCurrency(results[bestIndex].totalNetWorth)}, an advantage of ${formatCurrency(results[bestIndex].netVsAllCash)} over buying with all cash over a ${inputs.holdingPeriod}-year hold.` }
+                ]
+            },
+            { heading: 'Scenario Comparison', blocks: [{ type: 'table', rows: comparisonRows }] },
+            { heading: 'Net Worth by Year', blocks: [{ type: 'chart' }] },
+            {
+                heading: 'Time Value of Money',
+                blocks: [
+                    { type: 'table', rows: timeValueRows },
+                    { type: 'paragraph', text: `Today's dollars deflate each year's cash flows at ${formatPercent(inputs.inflationRate * 100)} inflation. NPV discounts the dated cash flows, from the upfront cost through the sale, at ${formatPercent(inputs.discountRate * 100)} a year; IRR is the rate at which that NPV is zero.` }
+                ]
+            },
+            {
+                heading: 'Securities Loan True Cost',
+                blocks: [
+                    { type: 'table', rows: securitiesRows },
+                    { type: 'paragraph', text: `Blended alternative return ${formatPercent(inputs.blendedAltReturn * 100)} versus ${formatPercent(inputs.investReturn * 100)} for the standard portfolio, an opportunity cost of ${formatPercent((inputs.blendedAltReturn - inputs.investReturn) * 100)} a year on pledged securities.` }
+                ]
+            },
+            {
+                heading: 'Inputs',
+                blocks: [{ type: 'table', rows: inputRows }].concat(inputs.customScenarios.map(definition => ({
+                    type: 'paragraph',
+                    text: `Custom scenario ${definition.name}: ${describeCustomScenario(definition)}.`
+                })))
+            }
+        ].concat(warningSections, [
+            { heading: 'Methodology and Assumptions', blocks: REPORT_METHODOLOGY.map(text => ({ type: 'paragraph', text: text })) }
+        ])
+    };
+}
+
+// Draw the net worth chart off-screen on a white background and return it as
+// a JPEG data URL, or null if it cannot be drawn
+function renderReportChart(results, width, height) {
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const scenarioList = getScenarioList(getInputs());
+        const reportChart = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: results[0].timeline.map(point => `Year ${point.year}`),
+                datasets: results.map((result, index) => ({
+                    label: scenarioList[index].name,
+                    data: result.timeline.map(point => point.netWorth),
+                    borderColor: scenarioColors[index % scenarioColors.length],
+                    backgroundColor: scenarioColors[index % scenarioColors.length],
+                    borderWidth: 2,
+                    tension: 0.2,
+                    fill: false
+                }))
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                devicePixelRatio: 1,
+                plugins: { legend: { position: 'bottom' } },
+                scales: { y: { ticks: { callback: value => formatCurrency(value) } } }
+            },
+            plugins: [{
+                id: 'whiteBackground',
+                beforeDraw: c => {
+                    c.ctx.save();
+                    c.ctx.fillStyle = '#FFFFFF';
+                    c.ctx.fillRect(0, 0, c.width, c.height);
+                    c.ctx.restore();
+                }
+            }]
+        });
+        const image = canvas.toDataURL('image/jpeg', 0.92);
+        reportChart.destroy();
+        return image;
+    } catch (error) {
+        console.error('Error drawing report chart:', error);
+        return null;
+    }
+}
+
+// Fill the print-only report container
+function renderClientReportHtml(report, chartImage) {
+    const reportDiv = document.getElementById('clientReport');
+    if (!reportDiv) return;
+    
+    const renderTable = rows => `
+        <table class="report-table">
+            <thead><tr>${rows[0].map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.slice(1).map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+    const renderBlock = block => {
+        if (block.type === 'table') return renderTable(block.rows);
+        if (block.type === 'chart') return chartImage ? `<img class="report-chart" src="${chartImage}" alt="Net worth by year">` : '';
+        return `<p>${escapeHtml(block.text)}</p>`;
+    };
+    
+    reportDiv.innerHTML = `
+        <h1>${escapeHtml(report.title)}</h1>
+        <p class="report-subtitle">${escapeHtml(report.subtitle)}</p>
+        ${report.sections.map(section => `
+        <section class="report-section">
+            <h2>${escapeHtml(section.heading)}</h2>
+            ${section.blocks.map(renderBlock).join('')}
+        </section>`).join('')}
+    `;
+}
+
+// Refresh the print view with the current inputs
+function prepareClientReport() {
+    if (findErrors(validateForm(), defaultInputs).length > 0) {
+        const reportDiv = document.getElementById('clientReport');
+        if (reportDiv) reportDiv.innerHTML = '<p>Some inputs are invalid. Fix the highlighted inputs before printing the report.</p>';
+        return;
+    }
+    
+    const inputs = getInputs();
+    const results = calculateAllScenarios(inputs);
+    renderClientReportHtml(buildClientReport(inputs, results), renderReportChart(results, 1400, 700));
+}
+
+// Helvetica advance widths (per 1000 units of font size) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters outside ASCII that the PDF's WinAnsi encoding can show
+const WIN_ANSI_CHARACTERS = {
+    '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+    '×': 0xD7, '±': 0xB1, '…': 0x85, '§': 0xA7, '°': 0xB0, '·': 0xB7
+};
+
+// Encode text as WinAnsi character codes for the standard PDF fonts
+function toWinAnsi(text) {
+    return Array.from(String(text)).map(ch => {
+        const code = ch.charCodeAt(0);
+        if (code >= 32 && code <= 126) return code;
+        if (WIN_ANSI_CHARACTERS[ch]) return WIN_ANSI_CHARACTERS[ch];
+        if (ch === '≥') return '>'.charCodeAt(0);
+        if (ch === '≤') return '<'.charCodeAt(0);
+        return '?'.charCodeAt(0);
+    });
+}
+
+// Width of text in points; bold is approximated as 5% wider
+function measurePdfText(text, size, bold) {
+    const units = toWinAnsi(text).reduce((sum, code) =>
+        sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556), 0);
+    return units * size / 1000 * (bold ? 1.05 : 1);
+}
+
+// A PDF string literal from WinAnsi codes, escaping delimiters and high bytes
+function pdfString(text) {
+    return '(' + toWinAnsi(text).map(code => {
+        if (code === 40 || code === 41 || code === 92) return '\\' + String.fromCharCode(code);
+        return code > 126 ? '\\' + code.toString(8) : String.fromCharCode(code);
+    }).join('') + ')';
+}
+
+// Lay out the report on US Letter pages and return the PDF file bytes. Uses
+// the standard Helvetica fonts and an embedded JPEG chart, so it needs no
+// network access or libraries.
+function buildReportPdf(report, chartImage) {
+    const pageWidth = 612;
+    const pageHeight = 792;
+    const margin = 48;
+    const contentWidth = pageWidth - margin * 2;
+    const pages = [];
+    let content = [];
+    let y = 0;
+    
+    const newPage = () => {
+        content = [];
+        pages.push(content);
+        y = pageHeight - margin;
+    };
+    const ensureSpace = height => {
+        if (y - height < margin) newPage();
+    };
+    const drawText = (text, x, size, bold, color) => {
+        content.push(`BT ${color || '0 0 0'} rg /${bold ? 'F2' : 'F1'} ${size.toFixed(2)} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(text)} Tj ET`);
+    };
+    const wrapText = (text, size, width) => {
+        const lines = [];
+        let line = '';
+        String(text).split(/\s+/).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && measurePdfText(candidate, size) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    };
+    const fitText = (text, size, width, bold) => {
+        let fitted = String(text);
+        while (fitted.length > 1 && measurePdfText(fitted, size, bold) > width + 0.01) fitted = fitted.slice(0, -2) + '…';
+        return fitted;
+    };
+    
+    const drawParagraph = text => {
+        const size = 9.5;
+        wrapText(text, size, contentWidth).forEach(line => {
+            ensureSpace(size * 1.4);
+            y -= size * 1.4;
+            drawText(line, margin, size, false);
+        });
+        y -= 6;
+    };
+    
+    const drawTable = rows => {
+        // Size the font so every column fits the page: body cells on one line,
+        // headers wrapped at word boundaries
+        const padding = 4;
+        const natural = rows[0].map((header, c) => Math.max(
+            ...String(header).split(/\s+/).map(word => measurePdfText(word, 1, true)),
+            ...rows.slice(1).map(row => measurePdfText(row[c], 1, false))));
+        const size = Math.max(6, Math.min(9, (contentWidth - padding * 2 * natural.length) / natural.reduce((a, b) => a + b, 0)));
+        const widths = natural.map(w => w * size + padding * 2);
+        const scale = contentWidth / widths.reduce((a, b) => a + b, 0);
+        const columnWidths = widths.map(w => w * scale);
+        const lineHeight = size * 1.25;
+        const isNumber = text => /^-?\$?-?[\d,.]+%?$/.test(String(text));
+        
+        const drawRow = (row, header) => {
+            const cells = row.map((cell, c) => header ?
+                wrapText(cell, size, columnWidths[c] - padding * 2) :
+                [fitText(cell, size, columnWidths[c] - padding * 2, false)]);
+            const rowHeight = Math.max(...cells.map(lines => lines.length)) * lineHeight + size * 0.6;
+            ensureSpace(rowHeight);
+            if (header) {
+                content.push(`0.92 0.94 0.95 rg ${margin} ${(y - rowHeight).toFixed(2)} ${contentWidth} ${rowHeight.toFixed(2)} re f`);
+            }
+            const top = y;
+            let x = margin;
+            cells.forEach((lines, c) => {
+                lines.forEach((text, line) => {
+                    const width = measurePdfText(text, size, header);
+                    const textX = !header && c > 0 && isNumber(text) ? x + columnWidths[c] - padding - width : x + padding;
+                    y = top - size * 0.3 - lineHeight * (line + 1) + size * 0.25;
+                    drawText(text, textX, size, header);
+                });
+                x += columnWidths[c];
+            });
+            y = top - rowHeight;
+            content.push(`0.8 0.8 0.8 RG 0.5 w ${margin} ${y.toFixed(2)} m ${margin + contentWidth} ${y.toFixed(2)} l S`);
+        };
+        
+        drawRow(rows[0], true);
+        rows.slice(1).forEach(row => {
+            // Repeat the header when a table runs onto a new page
+            if (y - lineHeight - size * 0.6 < margin) {
+                newPage();
+                drawRow(rows[0], true);
+            }
+            drawRow(row, false);
+        });
+        y -= 10;
+    };
+    
+    let image = null;
+    if (chartImage) {
+        const binary = atob(chartImage.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        // Pixel size from the JPEG's start-of-frame marker
+        for (let i = 2; i < bytes.length - 8;) {
+            const marker = bytes[i + 1];
+            const length = (bytes[i + 2] << 8) | bytes[i + 3];
+            if (marker >= 0xC0 && marker <= 0xC3) {
+                image = { bytes: bytes, height: (bytes[i + 5] << 8) | bytes[i + 6], width: (bytes[i + 7] << 8) | bytes[i + 8] };
+                break;
+            }
+            i += 2 + length;
+        }
+    }
+    const drawChart = () => {
+        if (!image) return;
+        const height = contentWidth * image.height / image.width;
+        ensureSpace(height + 6);
+        y -= height;
+        content.push(`q ${contentWidth} 0 0 ${height.toFixed(2)} ${margin} ${y.toFixed(2)} cm /Im1 Do Q`);
+        y -= 10;
+    };
+    
+    newPage();
+    y -= 20;
+    drawText(report.title, margin, 20, true);
+    y -= 16;
+    drawText(report.subtitle, margin, 10, false, '0.4 0.4 0.4');
+    y -= 10;
+    report.sections.forEach(section => {
+        ensureSpace(48);
+        y -= 22;
+        drawText(section.heading, margin, 13, true, '0.13 0.5 0.55');
+        y -= 6;
+        section.blocks.forEach(block => {
+            if (block.type === 'table') drawTable(block.rows);
+            else if (block.type === 'chart') drawChart();
+            else drawParagraph(block.text);
+        });
+    });
+    pages.forEach((page, i) => {
+        page.push(`BT 0.5 0.5 0.5 rg /F1 8 Tf ${margin} ${margin / 2} Td ${pdfString(`${report.title} - Page ${i + 1} of ${pages.length}`)} Tj ET`);
+    });
+    
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 chart image, then a page
+    // and content stream per page
+    const objects = [];
+    const pageObjects = pages.map((_, i) => 6 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageObjects.map(n => `${n} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = image ?
+        { dictionary: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`, stream: image.bytes } :
+        '<< >>';
+    pages.forEach((page, i) => {
+        const stream = page.join('\n');
+        objects[pageObjects[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${image ? ' /XObject << /Im1 5 0 R >>' : ''} >> /Contents ${pageObjects[i] + 1} 0 R >>`;
+        objects[pageObjects[i] + 1] = { dictionary: `<< /Length ${stream.length} >>`, stream: stream };
+    });
+    
+    // Everything but the image is single-byte text, so offsets count characters
+    const chunks = [];
+    let length = 0;
+    const write = part => {
+        const bytes = typeof part === 'string' ? Uint8Array.from(part, ch => ch.charCodeAt(0)) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const offsets = [];
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    for (let n = 1; n < objects.length; n++) {
+        offsets[n] = length;
+        const object = objects[n];
+        if (typeof object === 'string') {
+            write(`${n} 0 obj\n${object}\nendobj\n`);
+        } else {
+            write(`${n} 0 obj\n${object.dictionary}\nstream\n`);
+            write(object.stream);
+            write('\nendstream\nendobj\n');
+        }
+    }
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+    for (let n = 1; n < objects.length; n++) write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+    write(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(bytes => {
+        pdf.set(bytes, position);
+        position += bytes.length;
+    });
+    return pdf;
+}
+
+// Generate the client report as a PDF download
+function downloadClientReportPdf() {
+    if (findErrors(validateForm(), defaultInputs).length > 0) return;
+    
+    try {
+        const inputs = getInputs();
+        const results = calculateAllScenarios(inputs);
+        const report = buildClientReport(inputs, results);
+        downloadFile('home-financing-report.pdf', buildReportPdf(report, renderReportChart(results, 1400, 700)), 'application/pdf');
+    } catch (error) {
+        console.error('Error generating PDF report:', error);
+    }
+}
+
+// Reset to default values - FIXED VERSION
+function resetToDefaults() {
+    try {
+        console.log('Resetting to defaults...');
+        
+        // Set each input value individually and trigger events
+        const inputElements = [
+            { id: 'homePrice', value: defaultInputs.homePrice },
+            { id: 'closingCosts', value: defaultInputs.closingCosts },
+            { id: 'propertyTax', value: defaultInputs.propertyTax },
+            { id: 'insurance', value: defaultInputs.insurance },
+            { id: 'maintenance', value: defaultInputs.maintenance },
+            { id: 'appreciation', value: defaultInputs.appreciation },
+            { id: 'holdingPeriod', value: defaultInputs.holdingPeriod },
+            { id: 'downPaymentPct', value: defaultInputs.downPaymentPct },
+            { id: 'pmiRate', value: defaultInputs.pmiRate },
+            { id: 'mortgageRate', value: defaultInputs.mortgageRate },
+            { id: 'discountPoints', value: defaultInputs.discountPoints },
+            { id: 'pointRateReduction', value: defaultInputs.pointRateReduction },
+            { id: 'mortgageTerm', value: defaultInputs.mortgageTerm },
+            { id: 'mortgageProduct', value: defaultInputs.mortgageProduct },
+            { id: 'armInitialRate', value: defaultInputs.armInitialRate },
+            { id: 'armMargin', value: defaultInputs.armMargin },
+            { id: 'armInitialCap', value: defaultInputs.armInitialCap },
+            { id: 'armPeriodicCap', value: defaultInputs.armPeriodicCap },
+            { id: 'armLifetimeCap', value: defaultInputs.armLifetimeCap },
+            { id: 'refiYear', value: defaultInputs.refiYear },
+            { id: 'refiRateSource', value: defaultInputs.refiRateSource },
+            { id: 'refiRate', value: defaultInputs.refiRate },
+            { id: 'refiSpread', value: defaultInputs.refiSpread },
+            { id: 'refiTerm', value: defaultInputs.refiTerm },
+            { id: 'refiClosingCosts', value: defaultInputs.refiClosingCosts },
+            { id: 'refiCashOut', value: defaultInputs.refiCashOut },
+            { id: 'deductionLimit', value: defaultInputs.deductionLimit },
             { id: 'sofrRate', value: defaultInputs.sofrRate },
+            { id: 'sofrCurve', value: defaultInputs.sofrCurve },
+            { id: 'sofrPathCustom', value: defaultInputs.sofrPathCustom },
+            { id: 'boxSpreadSpread', value: defaultInputs.boxSpreadSpread },
+            { id: 'securitiesSpread', value: defaultInputs.securitiesSpread },
             { id: 'investReturn', value: defaultInputs.investReturn },
             { id: 'taxOrdinary', value: defaultInputs.taxOrdinary },
             { id: 'taxCapitalGains', value: defaultInputs.taxCapitalGains },
+            { id: 'capitalGainsOffset', value: defaultInputs.capitalGainsOffset },
             { id: 'sellingCost', value: defaultInputs.sellingCost },
+            { id: 'filingStatus', value: defaultInputs.filingStatus },
+            { id: 'basisClosingCosts', value: defaultInputs.basisClosingCosts },
+            { id: 'homeImprovements', value: defaultInputs.homeImprovements },
+            { id: 'inflationRate', value: defaultInputs.inflationRate },
+            { id: 'discountRate', value: defaultInputs.discountRate },
             { id: 'securitiesLtv', value: defaultInputs.securitiesLtv },
+            { id: 'maintenanceLtv', value: defaultInputs.maintenanceLtv },
+            { id: 'marginResponse', value: defaultInputs.marginResponse },
+            { id: 'securitiesBasis', value: defaultInputs.securitiesBasis },
+            { id: 'stressDrawdown', value: defaultInputs.stressDrawdown },
+            { id: 'stressYear', value: defaultInputs.stressYear },
+            { id: 'stressRecoveryYears', value: defaultInputs.stressRecoveryYears },
             { id: 'altReturnPe', value: defaultInputs.altReturnPe },
             { id: 'altReturnHf', value: defaultInputs.altReturnHf },
             { id: 'altReturnCredit', value: defaultInputs.altReturnCredit },
@@ -571,7 +2377,8 @@ function resetToDefaults() {
             { id: 'altWeightPe', value: defaultInputs.altWeightPe },
             { id: 'altWeightHf', value: defaultInputs.altWeightHf },
             { id: 'altWeightCredit', value: defaultInputs.altWeightCredit },
-            { id: 'altWeightRe', value: defaultInputs.altWeightRe }
+            { id: 'altWeightRe', value: defaultInputs.altWeightRe },
+            ...Object.keys(defaultSimulationSettings).map(id => ({ id: id, value: defaultSimulationSettings[id] }))
         ];
         
         inputElements.forEach(({ id, value }) => {
@@ -607,8 +2414,8 @@ function handleInputChange(event) {
             clearTimeout(updateTimeout);
         }
         
-        // If SOFR rate changed, update calculated fields immediately
-        if (event.target.id === 'sofrRate') {
+        // If a rate path input changed, update calculated fields immediately
+        if (['sofrRate', 'sofrCurve', 'sofrPathCustom', 'boxSpreadSpread', 'securitiesSpread', 'holdingPeriod'].includes(event.target.id)) {
             updateCalculatedFields();
         }
         
@@ -668,7 +2475,136 @@ function init() {
             console.error('Reset button not found');
         }
         
+        const normalizeWeightsBtn = document.getElementById('normalizeWeightsBtn');
+        if (normalizeWeightsBtn) {
+            normalizeWeightsBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                normalizeAltWeights();
+            });
+        }
+        
+        // Custom scenario builder
+        const addComponentBtn = document.getElementById('addComponentBtn');
+        if (addComponentBtn) {
+            addComponentBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                addCustomComponentRow('conventional');
+            });
+        }
+        const addScenarioBtn = document.getElementById('addScenarioBtn');
+        if (addScenarioBtn) {
+            addScenarioBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                addCustomScenario();
+            });
+        }
+        addCustomComponentRow('cash');
+        addCustomComponentRow('conventional');
+        
+        // Inputs from a shared link override the page defaults
+        restoreUrlState();
+        updateCustomScenarioList();
+        
+        // Monte Carlo simulation runs on demand, not on every input change
+        const runSimulationBtn = document.getElementById('runSimulationBtn');
+        if (runSimulationBtn) {
+            runSimulationBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                runSimulationBtn.disabled = true;
+                runSimulationBtn.textContent = 'Running...';
+                
+                // Let the button repaint before the simulation blocks the thread
+                setTimeout(() => {
+                    updateSimulationResults();
+                    runSimulationBtn.disabled = false;
+                    runSimulationBtn.textContent = 'Run Simulation';
+                }, 0);
+            });
+        }
+        
+        // Results export
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                exportResults('csv');
+            });
+        }
+        const exportXlsxBtn = document.getElementById('exportXlsxBtn');
+        if (exportXlsxBtn) {
+            exportXlsxBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                exportResults('xlsx');
+            });
+        }
+        
+        // Client report
+        const printReportBtn = document.getElementById('printReportBtn');
+        if (printReportBtn) {
+            printReportBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                window.print();
+            });
+        }
+        const pdfReportBtn = document.getElementById('pdfReportBtn');
+        if (pdfReportBtn) {
+            pdfReportBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                downloadClientReportPdf();
+            });
+        }
+        // The report is rebuilt for every print, including from the browser menu
+        window.addEventListener('beforeprint', prepareClientReport);
+        
+        // Shareable link
+        const shareLinkBtn = document.getElementById('shareLinkBtn');
+        if (shareLinkBtn) {
+            shareLinkBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                copyShareableLink();
+            });
+        }
+        
+        // Saved cases
+        const saveCaseBtn = document.getElementById('saveCaseBtn');
+        if (saveCaseBtn) {
+            saveCaseBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                saveCurrentCase();
+            });
+        }
+        const exportCasesBtn = document.getElementById('exportCasesBtn');
+        if (exportCasesBtn) {
+            exportCasesBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                exportSavedCases();
+            });
+        }
+        const importCasesFile = document.getElementById('importCasesFile');
+        const importCasesBtn = document.getElementById('importCasesBtn');
+        if (importCasesBtn && importCasesFile) {
+            importCasesBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                importCasesFile.click();
+            });
+            importCasesFile.addEventListener('change', function() {
+                if (importCasesFile.files.length > 0) importSavedCases(importCasesFile.files[0]);
+                importCasesFile.value = '';
+            });
+        }
+        updateSavedCaseList();
+        
+        // Break-even solver runs on demand
+        const solveBreakEvenBtn = document.getElementById('solveBreakEvenBtn');
+        if (solveBreakEvenBtn) {
+            solveBreakEvenBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                updateBreakEvenSolver();
+            });
+        }
+        
         // Initial calculations
+        observeDeferredPanels();
         updateCalculatedFields();
         updateTable();
         
@@ -678,10 +2614,8 @@ function init() {
     }
 }
 
-// Start the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', init);
-
-// Additional event listener for cases where DOMContentLoaded has already fired
+// Start the application when the DOM is loaded. Module scripts run after
+// parsing, so the document has usually finished loading already.
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
 } else {
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+// Command-line runner for batch scenario analysis. Reads input sets from JSON
+// or CSV files, runs every scenario through the engine and prints a
+// comparison table or writes JSON/CSV results.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname, basename } from 'node:path';
+import { defaultInputs, defaultSimulationSettings, buildInputs, calculateAllScenarios, getScenarioList, validateInputs, validateCustomScenario } from './engine.mjs';
+
+const USAGE = `Usage: node cli.mjs [options] [input files...]
+
+Runs the scenario comparison for each input set. Input files are JSON (an
+object, an array of objects or a saved cases export) or CSV (a header row of
+field names, one case per row). An optional "name" field labels each case.
+Values use the same units as the web form, and missing fields take their
+defaults. With no input files, the defaults are run as a single case.
+Cases with invalid inputs or custom scenarios are reported and skipped, and
+the exit status is 1.
+
+Options:
+  --set field=value          Override a field in every case (repeatable)
+  --sweep field=start:end:step
+                             Run each case across a range of one field
+  --format table|json|csv    Output format (default: table)
+  --output file              Write to a file instead of standard output
+  --list-fields              Print every input field and its default
+  --help                     Show this help
+`;
+
+// Result columns, in the order of the web comparison table
+const RESULT_FIELDS = [
+    ['downPayment', 'Down Payment'],
+    ['upfrontCost', 'Upfront Cost'],
+    ['annualDebtService', 'Annual Debt Service'],
+    ['totalInterestCost', 'Interest Cost'],
+    ['portfolioGrowth', 'Portfolio Growth'],
+    ['homeSaleProceeds', 'After-Tax Sale Proceeds'],
+    ['totalNetWorth', 'Total Net Worth'],
+    ['netVsAllCash', 'Net vs All-Cash'],
+    ['realNetWorth', "Net Worth (Today's $)"],
+    ['npv', 'NPV'],
+    ['irr', 'IRR']
+];
+
+// Saved cases files exported from the web page
+const SAVED_CASES_FORMAT = 'home-financing-calculator-cases';
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const options = { files: [], overrides: {}, sweep: null, format: 'table', output: null, help: false, listFields: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const takeValue = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--list-fields') {
+            options.listFields = true;
+        } else if (arg === '--set') {
+            const [field, value] = splitAssignment(takeValue(), '--set');
+            options.overrides[field] = value;
+        } else if (arg === '--sweep') {
+            const [field, range] = splitAssignment(takeValue(), '--sweep');
+            const [start, end, step] = range.split(':').map(Number);
+            if ([start, end, step].some(isNaN) || step <= 0) {
+                throw new UsageError(`--sweep range must be start:end:step with a positive step, got "${range}"`);
+            }
+            options.sweep = { field, start, end, step };
+        } else if (arg === '--format') {
+            options.format = takeValue();
+            if (!['table', 'json', 'csv'].includes(options.format)) {
+                throw new UsageError(`Unknown format "${options.format}"; use table, json or csv`);
+            }
+        } else if (arg === '--output' || arg === '-o') {
+            options.output = takeValue();
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Split "field=value", checking the field is a known input
+function splitAssignment(text, option) {
+    const index = text.indexOf('=');
+    if (index <= 0) throw new UsageError(`${option} expects field=value, got "${text}"`);
+    const field = text.slice(0, index).trim();
+    if (!(field in defaultInputs)) throw new UsageError(`${option}: unknown input field "${field}"`);
+    return [field, text.slice(index + 1).trim()];
+}
+
+// Parse CSV text into rows of fields, handling quoted fields
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Read the cases in one input file as {name, values, customScenarios}
+function readCases(file) {
+    const text = readFileSync(file, 'utf8');
+    const label = basename(file, extname(file));
+
+    if (extname(file).toLowerCase() === '.csv') {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) return [];
+        return rows.map((row, i) => {
+            const values = {};
+            header.forEach((field, c) => {
+                if (row[c] !== undefined && row[c].trim() !== '') values[field.trim()] = row[c].trim();
+            });
+            const name = values.name || `${label} ${i + 1}`;
+            delete values.name;
+            return { name: name, values: values, customScenarios: [] };
+        });
+    }
+
+    // Saved cases also carry the page's Monte Carlo settings, which the
+    // runner does not use, so they are dropped without a warning
+    const data = JSON.parse(text);
+    const withoutSimulationSettings = inputs => Object.fromEntries(Object.entries(inputs || {})
+        .filter(([field]) => !(field in defaultSimulationSettings)));
+    const entries = data && data.format === SAVED_CASES_FORMAT ?
+        data.cases.map(c => ({ name: c.name, ...withoutSimulationSettings(c.inputs), customScenarios: c.customScenarios })) :
+        [].concat(data);
+    return entries.map((entry, i) => {
+        const { name, customScenarios, ...values } = entry || {};
+        return {
+            name: name || (entries.length > 1 ? `${label} ${i + 1}` : label),
+            values: values,
+            customScenarios: Array.isArray(customScenarios) ? customScenarios : []
+        };
+    });
+}
+
+// Expand each case across the sweep range, if there is one
+function expandSweep(cases, sweep) {
+    if (!sweep) return cases;
+
+    const values = [];
+    const direction = sweep.end >= sweep.start ? 1 : -1;
+    for (let i = 0; ; i++) {
+        // Round away floating-point drift such as 0.1 + 0.2
+        const value = Number((sweep.start + direction * i * sweep.step).toPrecision(12));
+        if (direction * (value - sweep.end) > 1e-9) break;
+        values.push(value);
+    }
+
+    return cases.flatMap(c => values.map(value => ({
+        ...c,
+        name: `${c.name} [${sweep.field}=${value}]`,
+        values: { ...c.values, [sweep.field]: value }
+    })));
+}
+
+// Warn once about fields this version does not recognize
+function warnUnknownFields(cases) {
+    const unknown = new Set();
+    cases.forEach(c => Object.keys(c.values).forEach(field => {
+        if (!(field in defaultInputs)) unknown.add(field);
+    }));
+    if (unknown.size > 0) {
+        console.error(`Ignoring unknown input fields: ${Array.from(unknown).join(', ')}`);
+    }
+}
+
+// Run one case, or return null after reporting its invalid inputs or
+// custom scenarios, so one bad case does not stop the others
+function runCase(c) {
+    const issues = validateInputs(c.values);
+    const describe = issue => `${issue.fields.join(', ')}: ${issue.message}`;
+    const errors = issues.filter(issue => issue.severity === 'error').map(describe);
+    c.customScenarios.forEach((definition, i) => {
+        const name = definition && typeof definition.name === 'string' ? definition.name : `#${i + 1}`;
+        validateCustomScenario(definition)
+            .filter(issue => issue.severity === 'error')
+            .forEach(issue => errors.push(`custom scenario ${name}: ${issue.message}`));
+    });
+    if (errors.length > 0) {
+        console.error(`Skipping "${c.name}": ${errors.join(' ')}`);
+        return null;
+    }
+    const warnings = issues.filter(issue => issue.severity === 'warning').map(describe);
+
+    const inputs = buildInputs(c.values, c.customScenarios);
+    const results = calculateAllScenarios(inputs);
+    if (results.length === 0) {
+        console.error(`Skipping "${c.name}": the scenarios could not be calculated.`);
+        return null;
+    }
+    const scenarioList = getScenarioList(inputs);
+    return {
+        name: c.name,
+        inputs: c.values,
+        warnings: warnings,
+        results: results.map((result, index) => {
+            const row = { scenario: scenarioList[index].name };
+            RESULT_FIELDS.forEach(([field]) => { row[field] = result[field]; });
+            // Dated cash flows appear in JSON output only
+            row.cashFlows = result.cashFlows;
+            return row;
+        })
+    };
+}
+
+const currencyFormat = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+
+function formatValue(field, value) {
+    if (field === 'irr') return value === null ? '-' : `${(value * 100).toFixed(2)}%`;
+    return currencyFormat.format(value);
+}
+
+function formatTable(runs) {
+    const header = ['Scenario'].concat(RESULT_FIELDS.map(([, label]) => label));
+    return runs.map(run => {
+        const rows = [header].concat(run.results.map(r =>
+            [r.scenario].concat(RESULT_FIELDS.map(([field]) => formatValue(field, r[field])))));
+        const widths = header.map((_, c) => Math.max(...rows.map(row => row[c].length)));
+        const lines = rows.map(row => row.map((cell, c) => c === 0 ? cell.padEnd(widths[c]) : cell.padStart(widths[c])).join('  '));
+        lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('  '));
+        const warnings = run.warnings.map(warning => `Warning: ${warning}\n`).join('');
+        return `${run.name}\n${warnings}${lines.join('\n')}\n`;
+    }).join('\n');
+}
+
+function formatCsv(runs) {
+    const header = ['Case', 'Scenario'].concat(RESULT_FIELDS.map(([field]) => field), ['warnings']);
+    const rows = runs.flatMap(run => run.results.map(r =>
+        [run.name, r.scenario].concat(RESULT_FIELDS.map(([field]) => r[field] === null ? '' : r[field]), [run.warnings.join(' ')])));
+    return [header].concat(rows).map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function main(argv) {
+    const options = parseArguments(argv);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (options.listFields) {
+        Object.keys(defaultInputs).forEach(field => console.log(`${field}=${defaultInputs[field]}`));
+        return;
+    }
+
+    const fileCases = options.files.length > 0 ?
+        options.files.flatMap(readCases) :
+        [{ name: 'Defaults', values: {}, customScenarios: [] }];
+    warnUnknownFields(fileCases);
+    const cases = expandSweep(fileCases.map(c => ({ ...c, values: { ...c.values, ...options.overrides } })), options.sweep);
+    const runs = cases.map(runCase).filter(run => run !== null);
+    if (runs.length < cases.length) process.exitCode = 1;
+
+    const output = options.format === 'json' ? JSON.stringify(runs, null, 2) + '\n' :
+        options.format === 'csv' ? formatCsv(runs) :
+        formatTable(runs);
+
+    if (options.output) {
+        writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,426 @@
+// Golden values and edge cases for the calculation engine. Expected figures
+// are the results of the same formulas in Excel (PMT, IPMT, FV), checked to
+// the cent.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    defaultInputs,
+    pmt,
+    buildInputs,
+    buildAmortizationSchedule,
+    calculateOwnershipCosts,
+    calculateHomeSaleTax,
+    calculateHomeSaleProceeds,
+    calculateMortgageInterestDeduction,
+    calculateAllCash,
+    calculateMortgage80,
+    calculateMortgageBoxSpread,
+    calculateSecuritiesLoan,
+    calculateCustomScenario,
+    calculateAllScenarios,
+    runSensitivityAnalysis,
+    getScenarioList,
+    validateInputs,
+    validateCustomScenario,
+    normalizeWeights,
+    npv,
+    irr
+} from '../engine.mjs';
+
+function assertCents(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 0.005, `${message || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+// Every number in a scenario result, excluding nested detail
+function assertFiniteResult(result, name) {
+    Object.entries(result).forEach(([key, value]) => {
+        if (typeof value === 'number') assert.ok(Number.isFinite(value), `${name}.${key} is ${value}`);
+    });
+}
+
+// Net worth is assembled the same way in every financed scenario
+function assertNetWorthIdentity(result, inputs, taxSavings) {
+    const expected = result.portfolioGrowth + result.homeSaleProceeds - result.totalInterestCost -
+        calculateOwnershipCosts(inputs) + taxSavings;
+    assertCents(result.totalNetWorth, expected, 'totalNetWorth');
+}
+
+// Golden values against Excel
+
+test('pmt matches Excel PMT', () => {
+    // =PMT(6%/12, 360, 200000)
+    assertCents(pmt(0.06 / 12, 360, 200000), -1199.10);
+    // =PMT(8%/12, 10, 10000), the example in the Excel documentation
+    assertCents(pmt(0.08 / 12, 10, 10000), -1037.03);
+    // =PMT(6.9%/12, 360, 1480000), the default 80% mortgage
+    assertCents(pmt(0.069 / 12, 360, 1480000), -9747.28);
+    // =PMT(6.9%/12, 360, 750000), the default mortgage capped at the deduction limit
+    assertCents(pmt(0.069 / 12, 360, 750000), -4939.50);
+});
+
+test('amortization interest matches Excel IPMT', () => {
+    // =IPMT(10%/12, 1, 36, 8000)
+    assertCents(buildAmortizationSchedule(8000, 0.10, 3, 3).months[0].interest, 66.67);
+
+    const schedule = buildAmortizationSchedule(1480000, 0.069, 30, 10);
+    // =-IPMT(6.9%/12, 1, 360, 1480000) and =-IPMT(6.9%/12, 120, 360, 1480000)
+    assertCents(schedule.months[0].interest, 8510.00);
+    assertCents(schedule.months[119].interest, 7299.44);
+    // =-CUMIPMT(6.9%/12, 360, 1480000, 1, 12, 0)
+    assertCents(schedule.years[0].interestPaid, 101641.33);
+    // =-CUMIPMT(6.9%/12, 360, 1480000, 1, 120, 0)
+    assertCents(schedule.totalInterest, 956693.61);
+});
+
+test('balance at sale matches Excel FV', () => {
+    const schedule = buildAmortizationSchedule(1480000, 0.069, 30, 10);
+    // =-FV(6.9%/12, 120, PMT(6.9%/12, 360, 1480000), 1480000)
+    assertCents(schedule.payoffAtSale, 1267019.77);
+    assertCents(schedule.totalPrincipal + schedule.payoffAtSale, 1480000);
+});
+
+test('calculateOwnershipCosts sums taxes, insurance and maintenance over the hold', () => {
+    const inputs = buildInputs();
+    // (1,850,000 * 1.26% + 24,000 + 1,850,000 * 1.5%) * 10
+    assertCents(calculateOwnershipCosts(inputs), 750600);
+    assertCents(calculateOwnershipCosts({ ...inputs, holdingPeriod: 1 }), 75060);
+});
+
+test('calculateHomeSaleProceeds matches Excel FV less selling costs', () => {
+    const inputs = buildInputs();
+    const sale = calculateHomeSaleTax(inputs);
+    // =FV(3%, 10, 0, -1850000)
+    assertCents(sale.futureValue, 2486245.30);
+    assertCents(sale.sellingCosts, 174037.17);
+    // The gain is under the $500,000 joint exclusion, so no tax is due
+    assertCents(sale.costBasis, 1892550);
+    assertCents(sale.gain, 419658.13);
+    assert.equal(sale.tax, 0);
+    assertCents(calculateHomeSaleProceeds(inputs), 2312208.13);
+});
+
+test('calculateHomeSaleProceeds taxes the gain above the exclusion', () => {
+    const inputs = buildInputs({ appreciation: 6, filingStatus: 'single' });
+    const sale = calculateHomeSaleTax(inputs);
+    // =FV(6%, 10, 0, -1850000) * (1 - 7%) - 1892550, less the $250,000 exclusion
+    assertCents(sale.futureValue, 3313068.24);
+    assertCents(sale.taxableGain, sale.amountRealized - 1892550 - 250000);
+    assertCents(sale.tax, sale.taxableGain * 0.238);
+    assertCents(calculateHomeSaleProceeds(inputs), sale.amountRealized - sale.tax);
+});
+
+test('scenario functions match the spreadsheet build-up for defaultInputs', () => {
+    const inputs = buildInputs();
+
+    const allCash = calculateAllCash(inputs);
+    assertCents(allCash.upfrontCost, 1892550);
+    assertCents(allCash.totalNetWorth, 2312208.13 - 750600);
+
+    const mortgage = calculateMortgage80(inputs);
+    // =-PMT(6.9%/12, 360, 1480000) * 12
+    assertCents(mortgage.annualDebtService, 116967.38);
+    assertCents(mortgage.totalInterestCost, 956693.61);
+    // =FV(7%, 10, 0, -1437450) - 1437450 on the cash left after the down payment and closing costs
+    assertCents(mortgage.portfolioGrowth, 1390231.72);
+    assertNetWorthIdentity(mortgage, inputs, mortgage.deduction.totalTaxSavings);
+
+    const boxSpread = calculateMortgageBoxSpread(inputs);
+    assert.equal(boxSpread.mortgageAmount, 750000);
+    assertCents(boxSpread.boxSpreadAmount, 730000);
+    // Box spread cost is (SOFR + spread) on the balance each year: 730,000 * 4.83% * 10
+    assertCents(boxSpread.totalInterestCost, boxSpread.amortization.totalInterest + 352590);
+    assertNetWorthIdentity(boxSpread, inputs, boxSpread.deduction.totalTaxSavings + boxSpread.boxSpreadTax.totalTaxSavings);
+
+    const securities = calculateSecuritiesLoan(inputs);
+    // 1,480,000 * (4.33% + 1%)
+    assertCents(securities.annualInterest, 78884);
+    assertCents(securities.pledgedSecurities, 3700000);
+    // The same down payment and closing costs as the mortgage, and the same cash left to invest
+    assertCents(securities.upfrontCost, 412550);
+    assertCents(securities.portfolioGrowth, 1390231.72);
+    assertNetWorthIdentity(securities, inputs, securities.annualInterest * 10 * 0.37);
+});
+
+test('each timeline ends at the scenario net worth', () => {
+    const results = calculateAllScenarios(buildInputs());
+    assert.equal(results.length, 4);
+    results.forEach(result => {
+        const last = result.timeline[result.timeline.length - 1];
+        assertCents(last.netWorth, result.totalNetWorth);
+    });
+});
+
+test('npv and irr match Excel NPV and IRR', () => {
+    // =-10000 + NPV(10%, 3000, 4200, 6800)
+    assertCents(npv(0.10, [-10000, 3000, 4200, 6800]), 1307.29);
+    // =IRR({-70000, 12000, 15000, 18000, 21000, 26000}), the example in the Excel documentation
+    assert.ok(Math.abs(irr([-70000, 12000, 15000, 18000, 21000, 26000]) - 0.086631) < 1e-6);
+    assert.equal(irr([-1000, -500]), null);
+});
+
+test('cash flows add up to net worth less the purchase cost', () => {
+    // Points and a cash-out refinance move money between years but not in total
+    [buildInputs(), buildInputs({ discountPoints: 2, refiYear: 4, refiCashOut: 100000, downPaymentPct: 10 })].forEach(inputs => {
+        const results = calculateAllScenarios(inputs);
+        const purchaseCost = inputs.homePrice * (1 + inputs.closingCosts);
+        results.forEach(result => {
+            assert.equal(result.cashFlows.length, inputs.holdingPeriod + 1);
+            const total = result.cashFlows.reduce((sum, flow) => sum + flow.net, 0);
+            assertCents(total, result.totalNetWorth - purchaseCost);
+            assertCents(npv(result.irr, result.cashFlows.map(flow => flow.net)), 0);
+        });
+    });
+});
+
+test('refinance cash-out is invested, not paid out, in the cash flows', () => {
+    const [without, withCashOut] = [0, 300000].map(refiCashOut => calculateAllScenarios(buildInputs({ refiYear: 4, refiCashOut: refiCashOut })));
+    [1, 2].forEach(index => {
+        const base = without[index];
+        const result = withCashOut[index];
+        // The larger loan costs more every year, including the refinance year
+        result.cashFlows.slice(1).forEach(flow => assert.ok(flow.debtService < 0, `year ${flow.year} debt service ${flow.debtService}`));
+        assert.ok(result.cashFlows[5].debtService < base.cashFlows[5].debtService);
+        // The gain only arrives at the sale, so today's value moves by less
+        // than the net worth change discounted over the hold
+        const gain = result.totalNetWorth - base.totalNetWorth;
+        assert.ok(gain > 0);
+        assert.ok(Math.abs(result.npv - base.npv) < gain / Math.pow(1.07, 10), `npv change ${result.npv - base.npv}`);
+        assertCents(npv(result.irr, result.cashFlows.map(flow => flow.net)), 0);
+    });
+});
+
+test('the securities loan IRR is the return on the down payment and closing costs', () => {
+    const inputs = buildInputs({ holdingPeriod: 1 });
+    const securities = calculateAllScenarios(inputs)[3];
+    const [start, end] = securities.cashFlows.map(flow => flow.net);
+    assertCents(start, -412550);
+    // Over one year the IRR is just the return on the cash put in, which the
+    // closing and selling costs make a loss
+    assert.ok(Math.abs(securities.irr - (end / -start - 1)) < 1e-6, `irr ${securities.irr}`);
+    assert.ok(securities.irr < 0);
+});
+
+test("net worth in today's dollars equals nominal with no inflation", () => {
+    const results = calculateAllScenarios(buildInputs({ inflationRate: 0, discountRate: 0 }));
+    results.forEach(result => {
+        assertCents(result.realNetWorth, result.totalNetWorth);
+        assertCents(result.npv, result.cashFlows.reduce((sum, flow) => sum + flow.net, 0));
+    });
+
+    // Inflation lowers the value of the sale proceeds received years from now
+    const inflated = calculateAllScenarios(buildInputs({ inflationRate: 3 }));
+    assert.ok(inflated[0].realNetWorth < inflated[0].totalNetWorth);
+    assertCents(inflated[1].realNetVsAllCash, inflated[1].realNetWorth - inflated[0].realNetWorth);
+});
+
+// Edge cases
+
+test('zero interest rate amortizes in equal principal payments', () => {
+    // =PMT(0, 360, 360000)
+    assert.equal(pmt(0, 360, 360000), -1000);
+
+    const schedule = buildAmortizationSchedule(360000, 0, 30, 10);
+    assert.equal(schedule.monthlyPayment, 1000);
+    assert.equal(schedule.totalInterest, 0);
+    assertCents(schedule.payoffAtSale, 240000);
+
+    const results = calculateAllScenarios(buildInputs({ mortgageRate: 0 }));
+    assert.equal(results[1].totalInterestCost, 0);
+    assert.equal(results[1].deduction.totalTaxSavings, 0);
+});
+
+test('zero holding period produces finite results with no carrying costs', () => {
+    const inputs = buildInputs({ holdingPeriod: 0 });
+    const results = calculateAllScenarios(inputs);
+    assert.equal(results.length, 4);
+
+    results.forEach((result, i) => {
+        assertFiniteResult(result, `scenario ${i}`);
+        assert.equal(result.totalInterestCost, 0);
+        assert.equal(result.portfolioGrowth, 0);
+        assert.deepEqual(result.timeline, []);
+    });
+    assert.equal(calculateOwnershipCosts(inputs), 0);
+    // Sold at the purchase price, less selling costs; no exclusion or gain
+    assertCents(results[0].homeSaleProceeds, 1850000 * 0.93);
+});
+
+test('a loan below the deduction limit is fully deductible and needs no box spread', () => {
+    const inputs = buildInputs({ homePrice: 800000 });
+    const mortgage = calculateMortgage80(inputs);
+    const boxSpread = calculateMortgageBoxSpread(inputs);
+
+    assert.equal(mortgage.mortgageAmount, 640000);
+    mortgage.deduction.years.forEach(y => assert.equal(y.deductibleShare, 1));
+    assertCents(mortgage.deduction.totalDeductibleInterest, mortgage.amortization.totalInterest);
+
+    assert.equal(boxSpread.boxSpreadAmount, 0);
+    assertCents(boxSpread.totalNetWorth, mortgage.totalNetWorth);
+});
+
+test('a loan above the deduction limit deducts only the limited share', () => {
+    const inputs = buildInputs();
+    const schedule = buildAmortizationSchedule(1480000, 0.069, 30, 10);
+    const deduction = calculateMortgageInterestDeduction(schedule, inputs);
+    deduction.years.forEach((y, i) => {
+        assertCents(y.deductibleShare * schedule.years[i].averageBalance, 750000);
+    });
+});
+
+test('100% LTV finances the whole price and requires PMI', () => {
+    const inputs = buildInputs({ downPaymentPct: 0 });
+    const results = calculateAllScenarios(inputs);
+    results.forEach((result, i) => assertFiniteResult(result, `scenario ${i}`));
+
+    const mortgage = results[1];
+    assert.equal(mortgage.downPayment, 0);
+    assert.equal(mortgage.mortgageAmount, 1850000);
+    assertCents(mortgage.upfrontCost, 42550);
+    assert.equal(mortgage.pmi.required, true);
+    // =-PMT(6.9%/12, 360, 1850000) * 12 plus 0.5% PMI on the original balance
+    assertCents(mortgage.annualDebtService, 155459.23);
+
+    // Pledging 1,850,000 at 40% LTV takes 4,625,000 of securities, which stay
+    // invested; only the closing costs come out of the portfolio
+    const securities = results[3];
+    assertCents(securities.pledgedSecurities, 4625000);
+    assertCents(securities.upfrontCost, 42550);
+    assertCents(securities.portfolioGrowth, mortgage.portfolioGrowth);
+});
+
+test('a larger securities loan down payment costs the portfolio growth on it', () => {
+    // The loan costs 5.33% before tax, less than the 7% portfolio return, so
+    // putting more down should never raise net worth
+    const loans = [10, 20, 30, 50].map(downPaymentPct => calculateSecuritiesLoan(buildInputs({ downPaymentPct: downPaymentPct })));
+    loans.slice(1).forEach((result, i) => {
+        assert.ok(result.totalNetWorth < loans[i].totalNetWorth, `${result.totalNetWorth} should be below ${loans[i].totalNetWorth}`);
+        assert.ok(result.upfrontCost > loans[i].upfrontCost);
+    });
+});
+
+test('buildInputs fills missing and unparseable fields from defaultInputs', () => {
+    const inputs = buildInputs({ homePrice: 'not a number', mortgageRate: '5' });
+    assert.equal(inputs.homePrice, defaultInputs.homePrice);
+    assert.equal(inputs.mortgageRate, 0.05);
+    assert.equal(inputs.investReturn, defaultInputs.investReturn / 100);
+});
+
+// Sensitivity analysis
+
+test('absolute sensitivity shifts only percentage fields, by percentage points', () => {
+    const inputs = buildInputs();
+    const fields = [
+        { key: 'mortgageRate', label: 'Mortgage Rate', scale: 0.01, integer: false },
+        { key: 'homePrice', label: 'Home Price', scale: 1, integer: false },
+        { key: 'holdingPeriod', label: 'Holding Period', scale: 1, integer: true }
+    ];
+    const absolute = runSensitivityAnalysis(inputs, fields, { mode: 'absolute', amount: 1 }, 1);
+    assert.deepEqual(absolute.rows.map(row => row.key), ['mortgageRate']);
+    assertCents(absolute.rows[0].highValue * 100, 7.9);
+
+    const relative = runSensitivityAnalysis(inputs, fields, { mode: 'relative', amount: 10 }, 1);
+    assert.equal(relative.rows.length, 3);
+    assert.equal(relative.rows.find(row => row.key === 'holdingPeriod').highValue, 11);
+});
+
+test('sensitivity shifts never leave INPUT_RULES', () => {
+    const inputs = buildInputs();
+    const fields = [
+        { key: 'mortgageRate', label: 'Mortgage Rate', scale: 0.01, integer: false },
+        { key: 'closingCosts', label: 'Closing Costs', scale: 0.01, integer: false },
+        { key: 'pmiRate', label: 'PMI Rate', scale: 0.01, integer: false },
+        { key: 'securitiesLtv', label: 'Securities LTV', scale: 0.01, integer: false },
+        { key: 'holdingPeriod', label: 'Holding Period', scale: 1, integer: true }
+    ];
+    [{ mode: 'absolute', amount: 10 }, { mode: 'absolute', amount: 90 }, { mode: 'relative', amount: 200 }].forEach(shift => {
+        runSensitivityAnalysis(inputs, fields, shift, 1).rows.forEach(row => {
+            const field = fields.find(f => f.key === row.key);
+            [row.lowValue, row.highValue].forEach(value => {
+                const errors = validateInputs({ [row.key]: value / field.scale }).filter(issue => issue.severity === 'error' && issue.fields.length === 1);
+                assert.deepEqual(errors, [], `${shift.mode} ${shift.amount}: ${row.key} = ${value}`);
+            });
+        });
+    });
+
+    // The default 10-point shift stops a 6.9% rate at zero
+    const rate = runSensitivityAnalysis(inputs, fields.slice(0, 1), { mode: 'absolute', amount: 10 }, 1).rows[0];
+    assert.equal(rate.lowValue, 0);
+});
+
+// Custom scenarios
+
+test('custom scenarios built from one component match the built-in scenarios', () => {
+    const inputs = buildInputs();
+    const mortgage = calculateCustomScenario(inputs, { name: 'Mortgage', components: [{ type: 'cash', ltv: 20, rate: 0, term: 0 }, { type: 'conventional', ltv: 80, rate: 6.9, term: 30 }] });
+    const cash = calculateCustomScenario(inputs, { name: 'Cash', components: [{ type: 'cash', ltv: 100, rate: 0, term: 0 }] });
+    assertCents(mortgage.totalNetWorth, calculateMortgage80(inputs).totalNetWorth);
+    assertCents(cash.totalNetWorth, calculateAllCash(inputs).totalNetWorth);
+    assertFiniteResult(mortgage, 'mortgage');
+});
+
+test('custom scenarios reject mortgages with no term and negative amounts', () => {
+    const inputs = buildInputs();
+    const mortgage = term => ({ name: 'Mortgage', components: [{ type: 'cash', ltv: 20, rate: 0, term: 0 }, { type: 'jumbo', ltv: 80, rate: 7.1, term: term }] });
+    assert.throws(() => calculateCustomScenario(inputs, mortgage(0)), /Jumbo Mortgage term: Must be at least 1/);
+    assert.throws(() => calculateCustomScenario(inputs, { name: 'Negative', components: [{ type: 'cash', ltv: 110, rate: 0, term: 0 }, { type: 'heloc', ltv: -10, rate: 1.5, term: 0 }] }), /ltv: Must be at least 0/);
+    assert.throws(() => calculateCustomScenario(inputs, { name: 'Rebate', components: [{ type: 'cash', ltv: 20, rate: 0, term: 0 }, { type: 'conventional', ltv: 80, rate: -2, term: 30 }] }), /rate: Must be at least 0/);
+    // Floating-rate components have no term
+    assert.doesNotThrow(() => calculateCustomScenario(inputs, { name: 'Line', components: [{ type: 'cash', ltv: 60, rate: 0, term: 0 }, { type: 'sbloc', ltv: 40, rate: 1, term: 0 }] }));
+    assert.ok(calculateCustomScenario(inputs, mortgage(1)).totalInterestCost > 0);
+});
+
+test('an invalid custom scenario is left out instead of failing the comparison', () => {
+    const inputs = buildInputs({}, [
+        { name: 'No term', components: [{ type: 'cash', ltv: 20, rate: 0, term: 0 }, { type: 'conventional', ltv: 80, rate: 6.9, term: 0 }] },
+        { name: 'Line', components: [{ type: 'cash', ltv: 60, rate: 0, term: 0 }, { type: 'sbloc', ltv: 40, rate: 1, term: 0 }] }
+    ]);
+    const results = calculateAllScenarios(inputs);
+    const names = getScenarioList(inputs).map(scenario => scenario.name);
+    assert.equal(results.length, 5);
+    assert.deepEqual(names.slice(4), ['Line']);
+    results.forEach((result, i) => assertFiniteResult(result, names[i]));
+});
+
+// Validation
+
+test('validateInputs accepts the defaults', () => {
+    assert.deepEqual(validateInputs(defaultInputs), []);
+});
+
+test('validateInputs reports field errors, cross-field errors and warnings', () => {
+    const issues = validateInputs({ holdingPeriod: '-3', securitiesLtv: '0', homePrice: '', altWeightPe: 40, appreciation: 20 });
+    const find = field => issues.find(issue => issue.fields.includes(field));
+
+    assert.equal(find('holdingPeriod').severity, 'error');
+    assert.equal(find('securitiesLtv').severity, 'error');
+    assert.equal(find('homePrice').message, 'Enter a number.');
+    assert.equal(find('appreciation').severity, 'warning');
+    // 40 + 25 + 25 + 20
+    assert.deepEqual(find('altWeightRe').fields, ['altWeightPe', 'altWeightHf', 'altWeightCredit', 'altWeightRe']);
+    assert.match(find('altWeightRe').message, /110%/);
+});
+
+test('validateCustomScenario checks each component against the rules', () => {
+    const valid = { name: 'Mixed', components: [{ type: 'cash', ltv: 20, rate: 0, term: 0 }, { type: 'conventional', ltv: 60, rate: 6.5, term: 30 }, { type: 'sbloc', ltv: 20, rate: 1, term: 0 }] };
+    assert.deepEqual(validateCustomScenario(valid), []);
+
+    const issues = validateCustomScenario({ name: 'Bad', components: [
+        { type: 'conventional', ltv: -10, rate: '6', term: 30 },
+        { type: 'unknown', ltv: 10, rate: 1, term: 0 },
+        null
+    ] });
+    assert.deepEqual(issues.map(issue => issue.fields[0]), ['ltv', 'rate', 'type', 'type']);
+    assert.ok(issues.every(issue => issue.severity === 'error'));
+    assert.match(validateCustomScenario({ name: 'Over', components: [{ type: 'jumbo', ltv: 80, rate: 7, term: 30 }, { type: 'heloc', ltv: 30, rate: 1, term: 0 }] })[0].message, /110%/);
+    // A cash share that does not cover the rest of the price is not silently changed
+    assert.match(validateCustomScenario({ name: 'Short', components: [{ type: 'cash', ltv: 50, rate: 0, term: 0 }, { type: 'conventional', ltv: 10, rate: 6.9, term: 30 }] })[0].message, /60%.*must total 100%/);
+    assert.equal(validateCustomScenario({ components: 'none' })[0].severity, 'error');
+});
+
+test('normalizeWeights rebalances to 100 in whole numbers', () => {
+    const weights = normalizeWeights({ altWeightPe: 40, altWeightHf: 25, altWeightCredit: 25, altWeightRe: 20 });
+    assert.deepEqual(weights, { altWeightPe: 36, altWeightHf: 23, altWeightCredit: 23, altWeightRe: 18 });
+    assert.deepEqual(validateInputs(weights), []);
+    assert.deepEqual(normalizeWeights({ a: 0, b: 0, c: 0, d: 0 }), { a: 25, b: 25, c: 25, d: 25 });
+});
@@ -0,0 +1,46 @@
+// Snapshot of the full scenario output for defaultInputs. Any change to a
+// formula or a default shows up here as a diff against the stored JSON.
+// After an intentional change, regenerate it with:
+//     UPDATE_SNAPSHOTS=1 node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { defaultInputs, buildInputs, calculateAllScenarios, getScenarioList } from '../engine.mjs';
+
+const SNAPSHOT_FILE = new URL('./snapshots/default-scenarios.json', import.meta.url);
+
+// Round to 10 significant digits so the snapshot does not depend on
+// floating-point noise but still pins small rates and ratios such as IRR;
+// JSON has no negative zero, so it becomes 0
+function roundNumbers(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? Number(value.toPrecision(10)) || 0 : String(value);
+    if (Array.isArray(value)) return value.map(roundNumbers);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundNumbers(item)]));
+    }
+    return value;
+}
+
+function buildSnapshot() {
+    const inputs = buildInputs();
+    const scenarioList = getScenarioList(inputs);
+    return roundNumbers({
+        defaultInputs: defaultInputs,
+        scenarios: calculateAllScenarios(inputs).map((result, i) => ({ name: scenarioList[i].name, ...result }))
+    });
+}
+
+test('scenario output for defaultInputs matches the snapshot', () => {
+    const actual = buildSnapshot();
+    if (process.env.UPDATE_SNAPSHOTS) {
+        writeFileSync(SNAPSHOT_FILE, JSON.stringify(actual, null, 1) + '\n');
+    }
+    const expected = JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+
+    assert.deepEqual(actual.defaultInputs, expected.defaultInputs);
+    assert.equal(actual.scenarios.length, expected.scenarios.length);
+    actual.scenarios.forEach((scenario, i) => {
+        assert.deepEqual(scenario, expected.scenarios[i], `${scenario.name} differs from the snapshot`);
+    });
+});